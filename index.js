@@ -2,22 +2,102 @@
 // Automatically retry all failed fetch requests with configurable retry count and delay.
 
 import { t } from '../../../../scripts/i18n.js';
+import { LOG_LEVELS, clearLogEntries, getLogEntries, logger, onLogEntry, redactSecretFields, redactedText, setLogLevel } from './logger.js';
+import {
+    createRetryLimitError,
+    createRetryingFetch,
+    extractGeneratedText,
+    getBodyText,
+    getRetryDelay,
+    getStreamDelta,
+    isStreamingResponse,
+    parseJsonBody,
+    parseResetTime,
+    waitForRetry,
+} from './retry-engine.js';
 
 const EXTENSION_NAME = 'Fetch Retry';
 const settingsKey = 'FetchRetry';
+// Schema version of the saved settings. Bump it and add a migration when a setting is renamed or changes meaning.
+const SETTINGS_VERSION = 3;
 const extensionName = "fetch-retry";
 
+// Default request rules: retry generation endpoints with the global settings, leave everything else alone.
+// Rules are matched in order; the first rule whose pattern and method match a request wins.
+const defaultRetryRules = [
+    { name: 'Text completion', pattern: '/completion', method: '*', generation: true },
+    { name: 'Generate', pattern: '/generate', method: '*', generation: true },
+    { name: 'Chat completions', pattern: '/chat/completions', method: '*', generation: true },
+    { name: 'Gradio predict', pattern: '/run/predict', method: '*', generation: true },
+    { name: 'Everything else', pattern: '*', method: '*', exclude: true },
+];
+// Default classification rules for errors hidden in response bodies. First match wins.
+const defaultErrorClassificationRules = [
+    { name: 'Quota exhausted', status: ['4xx', '5xx'], match: 'insufficient_quota|exceeded your current quota|credit balance is too low|billing', action: 'fail', message: 'Quota exhausted: check your plan, credits or billing settings.' },
+    { name: 'Anthropic / OpenRouter overloaded', status: '*', path: 'error', match: 'overloaded', action: 'retry' },
+    { name: 'Google resource exhausted', status: '*', path: 'error', match: 'RESOURCE_EXHAUSTED|rate limit', action: 'retry-after-delay', delay: 30000 },
+    { name: 'Google unavailable', status: '*', path: 'error', match: 'UNAVAILABLE|model is overloaded', action: 'retry' },
+    { name: 'Upstream timeout', status: '4xx', match: 'upstream (request )?timed? ?out|gateway time-?out', action: 'retry' },
+    { name: 'Kobold busy', status: ['4xx', '5xx'], match: 'server is busy', action: 'retry-after-delay', delay: 5000 },
+    { name: 'Error object in a 200 response', status: 200, path: 'error', match: '.', action: 'retry' },
+];
+
+const classificationActions = ['retry', 'retry-after-delay', 'fail'];
+
+// Default rules for replies SillyTavern received: an empty reply is swiped or regenerated
+const defaultReplyRules = [
+    { name: 'Empty reply', minLength: 1 },
+];
+
+const replyRuleChecks = ['minLength', 'requireMatch', 'forbidMatch'];
+
+// Settings a rule may override for the requests it matches
+const ruleOverrideKeys = ['maxRetries', 'retryDelay', 'thinkingTimeout', 'reasoningTimeout', 'totalTimeout', 'requestDeadline', 'rateLimitDelay'];
+
 let fetchRetrySettings = {
     enabled: true,
     maxRetries: 5,
     retryDelay: 5000, // ms
     rateLimitDelay: 5000, // ms for 429 errors
-    thinkingTimeout: 60000, // ms, timeout for reasoning process
-    enableThinkingTimeout: true, // enable/disable thinking timeout
+    thinkingTimeout: 60000, // ms, time to first byte (first body chunk of generation replies, response headers otherwise)
+    reasoningTimeout: 0, // ms, max time a stream may spend in the reasoning phase, 0 = off
+    totalTimeout: 0, // ms, max duration of one attempt including streaming, 0 = off
+    enableThinkingTimeout: true, // enable/disable the three timeouts above
     showErrorNotification: true, // show error notification after all retries fail
+    desktopNotifications: false, // Browser notification when a retried request finally succeeds or gives up
+    soundCues: false, // Short sound when a retried request finally succeeds or gives up
+    notifyOnlyWhenHidden: true, // Desktop notifications and sounds only while the tab is in the background
     streamInactivityTimeout: 30000, // ms, timeout for stream inactivity
     minRetryDelay: 0, // Minimum delay for retries, useful for debugging or specific API quirks
-    debugMode: false, // Enable verbose logging for debugging.
+    backoffStrategy: 'exponential', // fixed | linear | exponential | full-jitter | decorrelated-jitter
+    backoffMultiplier: 1.5, // Growth factor per attempt for exponential and full-jitter backoff
+    maxRetryDelay: 120000, // ms, upper bound for the computed backoff
+    maxServerDelay: 3600000, // ms, upper bound for waits requested by the server
+    maxOfflineWait: 300000, // ms, how long retries pause while the network is down, 0 = don't pause
+    requestDeadline: 0, // ms, max duration of a whole request including retry waits, 0 = off
+    retryBudgetPercent: 50, // Max retries as a percentage of requests within the budget window, 0 = off
+    retryBudgetWindow: 60000, // ms, sliding window of the retry budget
+    logLevel: 'warn', // error | warn | info | debug | trace, most detailed level that is logged
+    checkEmptyResponse: false, // Retry non-streaming generation replies with empty or short text
+    minResponseLength: 0, // Minimum number of characters a generated reply must have
+    retryOnTruncated: false, // Retry replies cut off by the token limit (finish_reason: "length")
+    autoRegenerate: false, // Swipe or regenerate received messages that break a reply rule
+    autoRegenerateAction: 'swipe', // swipe | regenerate
+    maxAutoRegenerations: 2, // Auto-regenerations per message, separate from maxRetries
+    maxReplayBodySize: 20, // MB, larger request bodies are sent once without retries
+    circuitBreakerEnabled: true, // Fail fast while a backend keeps failing
+    circuitFailureThreshold: 5, // Consecutive failures before the circuit opens
+    circuitCooldown: 30000, // ms, how long an open circuit fails fast before a probe request
+    shareAcrossTabs: true, // Share 429 backoff deadlines and circuit state with other SillyTavern tabs
+    historySize: 100, // Number of intercepted requests kept in the retry history
+    failureJournalSize: 10, // MB, failed generation requests kept in IndexedDB for replay, 0 = off
+    rateLimiterEnabled: false, // Queue generation requests client-side to stay under the provider's limits
+    requestsPerMinute: 60, // Token bucket refill rate per backend
+    maxConcurrentRequests: 4, // Generation requests allowed in flight per backend
+    fallbackChain: [], // Alternate models / reverse proxies tried after all chat completion attempts fail
+    errorClassificationRules: defaultErrorClassificationRules, // Body-based rules for errors hidden in 200/4xx responses
+    retryRules: defaultRetryRules, // Ordered URL/method rules that scope retries
+    replyRules: defaultReplyRules, // Checks on received messages that trigger auto-regenerate
 };
 
 const customSettings = [
@@ -46,7 +126,7 @@ const customSettings = [
         "min": 100,
         "max": 60000,
         "step": 100,
-        "description": t`The base delay in milliseconds before retrying a failed request. Uses exponential backoff.`
+        "description": t`The base delay in milliseconds before retrying a failed request. Grows with each attempt according to the backoff strategy.`
     },
     {
         "type": "slider",
@@ -61,19 +141,39 @@ const customSettings = [
     {
         "type": "slider",
         "varId": "thinkingTimeout",
-        "displayText": t`AI Thinking Timeout (ms)`,
+        "displayText": t`First Byte Timeout (ms)`,
         "default": 60000,
         "min": 10000,
         "max": 300000,
         "step": 10000,
-        "description": t`Timeout in milliseconds for the AI reasoning process. If exceeded, the request is retried.`
+        "description": t`Maximum time in milliseconds to wait for the server to start responding: for generation replies until the first chunk of the body arrives (so proxies that send headers at once and then stall are caught), for other requests until the response headers. If exceeded, the request is retried.`
+    },
+    {
+        "type": "slider",
+        "varId": "reasoningTimeout",
+        "displayText": t`Reasoning Timeout (ms)`,
+        "default": 0,
+        "min": 0,
+        "max": 1800000,
+        "step": 30000,
+        "description": t`Maximum time a streamed reply may spend sending reasoning (thinking) tokens before the first reply text. 0 disables it.`
+    },
+    {
+        "type": "slider",
+        "varId": "totalTimeout",
+        "displayText": t`Total Duration Timeout (ms)`,
+        "default": 0,
+        "min": 0,
+        "max": 3600000,
+        "step": 60000,
+        "description": t`Maximum duration of a single attempt, including streaming the whole reply. 0 disables it.`
     },
     {
         "type": "checkbox",
         "varId": "enableThinkingTimeout",
-        "displayText": t`Enable Thinking Timeout`,
+        "displayText": t`Enable Timeouts`,
         "default": true,
-        "description": t`Enable or disable the thinking timeout. When disabled, requests will not be interrupted due to long thinking time.`
+        "description": t`Enable or disable the first byte, reasoning and total duration timeouts. When disabled, requests are never interrupted for taking too long.`
     },
     {
         "type": "checkbox",
@@ -82,6 +182,27 @@ const customSettings = [
         "default": true,
         "description": t`Display a notification if all fetch retries fail.`
     },
+    {
+        "type": "checkbox",
+        "varId": "desktopNotifications",
+        "displayText": t`Desktop Notifications`,
+        "default": false,
+        "description": t`Show a browser notification when a request that needed retries finally succeeds or gives up. The browser asks for permission when this is turned on.`
+    },
+    {
+        "type": "checkbox",
+        "varId": "soundCues",
+        "displayText": t`Sound Cues`,
+        "default": false,
+        "description": t`Play a short rising sound when a request that needed retries finally succeeds and a falling one when it gives up.`
+    },
+    {
+        "type": "checkbox",
+        "varId": "notifyOnlyWhenHidden",
+        "displayText": t`Only When Tab Is Hidden`,
+        "default": true,
+        "description": t`Use desktop notifications and sound cues only while the SillyTavern tab is in the background.`
+    },
     {
         "type": "slider",
         "varId": "streamInactivityTimeout",
@@ -90,7 +211,7 @@ const customSettings = [
         "min": 5000,
         "max": 120000,
         "step": 1000,
-        "description": t`If a streaming response stops sending data for this duration, the request is retried.`
+        "description": t`If a streaming generation response stops sending data for this duration, the request is retried (before any data arrived) or aborted with an error (mid-stream).`
     },
     {
         "type": "slider",
@@ -102,48 +223,338 @@ const customSettings = [
         "step": 10,
         "description": t`The minimum delay in milliseconds before retrying a failed request. Set to 0 for immediate retries (for debugging).`
     },
+    {
+        "type": "select",
+        "varId": "backoffStrategy",
+        "displayText": t`Backoff Strategy`,
+        "default": 'exponential',
+        "options": [
+            { "value": 'fixed', "label": t`Fixed` },
+            { "value": 'linear', "label": t`Linear` },
+            { "value": 'exponential', "label": t`Exponential` },
+            { "value": 'full-jitter', "label": t`Exponential with full jitter` },
+            { "value": 'decorrelated-jitter', "label": t`Decorrelated jitter` },
+        ],
+        "description": t`How the delay grows between attempts. The base is the Retry Delay, or the Rate Limit Delay for 429 errors. Jitter randomizes delays so several tabs retrying the same API do not fire at the same moment.`
+    },
+    {
+        "type": "slider",
+        "varId": "backoffMultiplier",
+        "displayText": t`Backoff Multiplier`,
+        "default": 1.5,
+        "min": 1,
+        "max": 5,
+        "step": 0.1,
+        "description": t`Factor the delay grows by with each attempt for the exponential and full jitter strategies.`
+    },
+    {
+        "type": "slider",
+        "varId": "maxRetryDelay",
+        "displayText": t`Maximum Retry Delay (ms)`,
+        "default": 120000,
+        "min": 1000,
+        "max": 600000,
+        "step": 1000,
+        "description": t`Upper bound for the delay computed by the backoff strategy. Waits requested by the server are limited by Max Server-Requested Delay instead.`
+    },
+    {
+        "type": "slider",
+        "varId": "maxServerDelay",
+        "displayText": t`Max Server-Requested Delay (ms)`,
+        "default": 3600000,
+        "min": 10000,
+        "max": 3600000,
+        "step": 10000,
+        "description": t`Upper bound for waits the server asks for through Retry-After, retry-after-ms or rate limit reset headers (and for waits set by classification rules or other tabs). Retrying earlier usually just gets another 429. The Request Deadline still applies.`
+    },
+    {
+        "type": "slider",
+        "varId": "maxOfflineWait",
+        "displayText": t`Max Offline Wait (ms)`,
+        "default": 300000,
+        "min": 0,
+        "max": 1800000,
+        "step": 30000,
+        "description": t`When a request fails because the network or the SillyTavern server is unreachable, retries pause until the connection is back, for at most this long. Waiting does not use up retries. 0 disables pausing.`
+    },
+    {
+        "type": "slider",
+        "varId": "requestDeadline",
+        "displayText": t`Request Deadline (ms)`,
+        "default": 0,
+        "min": 0,
+        "max": 3600000,
+        "step": 60000,
+        "description": t`Maximum time a request may take from the first attempt until a reply arrives, including all retry waits. Once it is reached no more retries are made. 0 disables it.`
+    },
+    {
+        "type": "slider",
+        "varId": "retryBudgetPercent",
+        "displayText": t`Retry Budget (%)`,
+        "default": 50,
+        "min": 0,
+        "max": 200,
+        "step": 10,
+        "description": t`Stops retry storms: within the budget window, retries may be at most this percentage of the intercepted requests (plus a few retries that are always allowed). When the budget is used up, failing requests give up at once. 0 disables the budget.`
+    },
+    {
+        "type": "slider",
+        "varId": "retryBudgetWindow",
+        "displayText": t`Retry Budget Window (ms)`,
+        "default": 60000,
+        "min": 10000,
+        "max": 600000,
+        "step": 10000,
+        "description": t`Sliding window over which requests and retries are counted for the retry budget.`
+    },
+    {
+        "type": "select",
+        "varId": "logLevel",
+        "displayText": t`Log Level`,
+        "default": "warn",
+        "options": LOG_LEVELS.map(level => ({ value: level, label: level })),
+        "description": t`Most detailed messages written to the browser's developer console (F12) and the Log panel. 'debug' and 'trace' help diagnose issues with the retry mechanism. API keys, passwords and tokens are removed from every message.`
+    },
+    {
+        "type": "slider",
+        "varId": "maxReplayBodySize",
+        "displayText": t`Max Replayable Body Size (MB)`,
+        "default": 20,
+        "min": 1,
+        "max": 100,
+        "step": 1,
+        "description": t`Request bodies are buffered so every retry can resend them. Larger bodies, and bodies that cannot be replayed (streams), are sent once without retries.`
+    },
+    {
+        "type": "checkbox",
+        "varId": "circuitBreakerEnabled",
+        "displayText": t`Enable Circuit Breaker`,
+        "default": true,
+        "description": t`Stop sending requests to a backend (by origin, or by the API named in the generation request) after repeated failures and fail fast until the cool-down ends.`
+    },
+    {
+        "type": "slider",
+        "varId": "circuitFailureThreshold",
+        "displayText": t`Circuit Failure Threshold`,
+        "default": 5,
+        "min": 1,
+        "max": 20,
+        "step": 1,
+        "description": t`Number of consecutive failures (network errors, timeouts, 5xx) that open the circuit.`
+    },
+    {
+        "type": "slider",
+        "varId": "circuitCooldown",
+        "displayText": t`Circuit Cool-down (ms)`,
+        "default": 30000,
+        "min": 5000,
+        "max": 300000,
+        "step": 5000,
+        "description": t`How long an open circuit fails fast before a single probe request is let through.`
+    },
+    {
+        "type": "checkbox",
+        "varId": "shareAcrossTabs",
+        "displayText": t`Share Backoff Across Tabs`,
+        "default": true,
+        "description": t`Tell other SillyTavern tabs in this browser about rate limit (429) waits and open circuits, so every tab backs off from the same backend together.`
+    },
+    {
+        "type": "checkbox",
+        "varId": "rateLimiterEnabled",
+        "displayText": t`Enable Client-side Rate Limiter`,
+        "default": false,
+        "description": t`Queue generation requests per backend so parallel calls (group chats, summarizers) stay under the limits below instead of all getting 429 errors. Learns from x-ratelimit-remaining / x-ratelimit-reset headers.`
+    },
+    {
+        "type": "slider",
+        "varId": "requestsPerMinute",
+        "displayText": t`Requests per Minute`,
+        "default": 60,
+        "min": 1,
+        "max": 600,
+        "step": 1,
+        "description": t`Maximum generation requests per minute to one backend.`
+    },
+    {
+        "type": "slider",
+        "varId": "maxConcurrentRequests",
+        "displayText": t`Max Concurrent Requests`,
+        "default": 4,
+        "min": 1,
+        "max": 20,
+        "step": 1,
+        "description": t`Maximum generation requests in flight to one backend at a time. A streamed reply counts until the stream ends.`
+    },
+    {
+        "type": "slider",
+        "varId": "historySize",
+        "displayText": t`Retry History Size`,
+        "default": 100,
+        "min": 10,
+        "max": 500,
+        "step": 10,
+        "description": t`Number of intercepted requests kept in the in-memory retry history shown below.`
+    },
+    {
+        "type": "slider",
+        "varId": "failureJournalSize",
+        "displayText": t`Failure Journal Size (MB)`,
+        "default": 10,
+        "min": 0,
+        "max": 100,
+        "step": 1,
+        "description": t`Generation requests that fail after all retries are saved (URL, method, headers without credentials, body and error) in the browser's IndexedDB, so they can be replayed after a reload. The oldest entries are dropped when the journal grows larger than this. 0 turns the journal off.`
+    },
+    {
+        "type": "checkbox",
+        "varId": "checkEmptyResponse",
+        "displayText": t`Check for Empty/Short Responses`,
+        "default": false,
+        "description": t`Read non-streaming generation replies and retry when the generated text is empty or shorter than the minimum length.`
+    },
+    {
+        "type": "slider",
+        "varId": "minResponseLength",
+        "displayText": t`Minimum Response Length (characters)`,
+        "default": 0,
+        "min": 0,
+        "max": 500,
+        "step": 1,
+        "description": t`Replies with fewer characters than this are treated as invalid. Set to 0 to only reject empty replies.`
+    },
+    {
+        "type": "checkbox",
+        "varId": "retryOnTruncated",
+        "displayText": t`Retry Truncated Responses`,
+        "default": false,
+        "description": t`Treat replies cut off by the token limit (finish_reason "length" / stop_reason "max_tokens") as invalid and retry them.`
+    },
     {
         "type": "checkbox",
-        "varId": "debugMode",
-        "displayText": t`Enable Debug Mode`,
+        "varId": "autoRegenerate",
+        "displayText": t`Auto-Regenerate Bad Replies`,
         "default": false,
-        "description": t`Prints verbose logs to the browser's developer console (F12) to help diagnose issues with the retry mechanism.`
+        "description": t`Check every reply SillyTavern shows (streamed or not) against the Reply Rules below and swipe or regenerate it when a rule is broken. Works on the rendered message, so it also catches replies the network checks cannot see.`
+    },
+    {
+        "type": "select",
+        "varId": "autoRegenerateAction",
+        "displayText": t`Auto-Regenerate Action`,
+        "default": 'swipe',
+        "options": [
+            { "value": 'swipe', "label": t`Swipe (keep the bad reply as a swipe)` },
+            { "value": 'regenerate', "label": t`Regenerate (replace the bad reply)` },
+        ],
+        "description": t`What to do with a reply that breaks a rule.`
+    },
+    {
+        "type": "slider",
+        "varId": "maxAutoRegenerations",
+        "displayText": t`Max Auto-Regenerations`,
+        "default": 2,
+        "min": 1,
+        "max": 10,
+        "step": 1,
+        "description": t`Swipes or regenerations per message before the last reply is kept. Counted separately from Maximum Retries.`
+    },
+    {
+        "type": "textarea",
+        "varId": "fallbackChain",
+        "displayText": t`Fallback Chain (JSON)`,
+        "default": [],
+        "validate": validateFallbackChain,
+        "description": t`Ordered list of fallbacks for chat completion requests, tried after all attempts fail. Each entry may set "model", "reverse_proxy" and "proxy_password" (plus optional "name" and "maxRetries"), e.g. [{"model": "gpt-4o-mini"}]. Leave as [] to disable.`
+    },
+    {
+        "type": "textarea",
+        "varId": "errorClassificationRules",
+        "displayText": t`Error Classification Rules (JSON)`,
+        "default": defaultErrorClassificationRules,
+        "validate": validateClassificationRules,
+        "description": t`Rules that read non-streaming generation responses to find errors hidden in 200 or 4xx replies. "status" is a code, a list, "4xx"/"5xx" or "*"; "path" picks a JSON field (e.g. "error.message"), otherwise the whole body is searched; "match" is a case-insensitive regex. "action" is "retry", "retry-after-delay" (with "delay" in ms) or "fail" (with an optional "message"). First match wins.`
+    },
+    {
+        "type": "textarea",
+        "varId": "retryRules",
+        "displayText": t`Request Rules (JSON)`,
+        "default": defaultRetryRules,
+        "validate": validateRetryRules,
+        "description": t`Ordered list of rules. The first rule whose "pattern" (substring, * as wildcard) and "method" match a request decides how it is handled. "exclude": true skips retries; "maxRetries", "retryDelay", "thinkingTimeout", "reasoningTimeout", "totalTimeout", "requestDeadline" and "rateLimitDelay" override the global values; "generation": true enables stream and response checks.`
+    },
+    {
+        "type": "textarea",
+        "varId": "replyRules",
+        "displayText": t`Reply Rules (JSON)`,
+        "default": defaultReplyRules,
+        "validate": validateReplyRules,
+        "description": t`Checks used by Auto-Regenerate Bad Replies. Each rule may set "minLength" (characters after trimming), "requireMatch" (case-insensitive regex the reply must match, e.g. "</answer>") and "forbidMatch" (regex the reply must not match, e.g. a refusal phrase), plus an optional "name". A reply breaking any rule is regenerated.`
     }
 ];
 
+/**
+ * Check a saved or imported value against its customSettings entry. Numbers outside the
+ * slider range are clamped; values that cannot be used fall back to the default.
+ * @param {object} setting - Entry from customSettings
+ * @param {any} raw - Stored value
+ * @returns {{value: any, warning?: string}}
+ */
+function sanitizeSettingValue(setting, raw) {
+    const { varId, type, default: defaultValue } = setting;
+    if (type === 'slider') {
+        const value = ['number', 'string'].includes(typeof raw) && String(raw).trim() !== '' ? Number(raw) : NaN;
+        if (!isFinite(value)) return { value: defaultValue, warning: `${varId} is not a number (${JSON.stringify(raw)}), using the default ${defaultValue}.` };
+        const clamped = Math.min(setting.max, Math.max(setting.min, value));
+        if (clamped !== value) return { value: clamped, warning: `${varId} = ${value} is outside ${setting.min}-${setting.max}, clamped to ${clamped}.` };
+        return { value };
+    }
+    if (type === 'textarea') {
+        const validationError = setting.validate ? setting.validate(raw) : '';
+        if (validationError) return { value: structuredClone(defaultValue), warning: `Invalid value for ${varId} (${validationError}), using the default.` };
+        return { value: raw };
+    }
+    const { value, error } = parseSettingValue(setting, raw);
+    if (error) return { value: structuredClone(defaultValue), warning: `${error}, using the default.` };
+    return { value };
+}
+
+/**
+ * Load stored settings into fetchRetrySettings. Corrected and normalized values are written back to the stored object.
+ * @param {object} settings - Stored settings
+ * @returns {string[]} Warnings for values that were clamped or replaced by the default
+ */
 function loadSettings(settings) {
-    if (fetchRetrySettings.debugMode) console.log('[Fetch Retry Debug] Loading settings...');
+    logger.debug('Loading settings...');
+    const warnings = [];
     if (settings) {
         customSettings.forEach(setting => {
-            const { varId, type, default: defaultValue } = setting;
+            const { varId, default: defaultValue } = setting;
             if (settings[varId] !== undefined) {
-                let loadedValue = settings[varId];
-                switch (type) {
-                    case 'checkbox':
-                        fetchRetrySettings[varId] = Boolean(loadedValue);
-                        break;
-                    case 'slider':
-                        fetchRetrySettings[varId] = Number(loadedValue);
-                        break;
-                    default:
-                        fetchRetrySettings[varId] = loadedValue;
+                const { value, warning } = sanitizeSettingValue(setting, settings[varId]);
+                if (warning) {
+                    logger.warn(warning);
+                    warnings.push(warning);
                 }
-                if (fetchRetrySettings.debugMode) console.log(`[Fetch Retry Debug] Setting loaded: ${varId} = ${fetchRetrySettings[varId]}`);
+                if (value !== settings[varId]) settings[varId] = structuredClone(value);
+                fetchRetrySettings[varId] = value;
+                logger.debug(`Setting loaded: ${varId} = ${fetchRetrySettings[varId]}`);
             } else if (fetchRetrySettings[varId] === undefined) {
                 // If setting is not in loaded settings, use default value
                 fetchRetrySettings[varId] = defaultValue;
-                if (fetchRetrySettings.debugMode) console.log(`[Fetch Retry Debug] Setting default: ${varId} = ${fetchRetrySettings[varId]}`);
+                logger.debug(`Setting default: ${varId} = ${fetchRetrySettings[varId]}`);
             }
         });
     }
-    if (fetchRetrySettings.debugMode) console.log('[Fetch Retry Debug] Settings loaded.');
+    setLogLevel(fetchRetrySettings.logLevel);
+    logger.debug('Settings loaded.');
+    return warnings;
 }
 
 function saveSettings() {
-    if (fetchRetrySettings.debugMode) console.log('[Fetch Retry Debug] Saving settings...');
+    logger.debug('Saving settings...');
     // Return a copy of the current settings
     const savedSettings = { ...fetchRetrySettings };
-    if (fetchRetrySettings.debugMode) console.log('[Fetch Retry Debug] Settings saved:', savedSettings);
+    logger.debug('Settings saved:', savedSettings);
     return savedSettings;
 }
 
@@ -151,67 +562,137 @@ function saveSettings() {
  * Generate default settings
  */
 function generateDefaultSettings() {
-    if (fetchRetrySettings.debugMode) console.log('[Fetch Retry Debug] Generating default settings...');
+    logger.debug('Generating default settings...');
     const settings = {
+        settingsVersion: SETTINGS_VERSION,
         enabled: true,
+        activeProfile: 'Default',
+        profiles: {},
     };
 
     customSettings.forEach(setting => {
         settings[setting.varId] = setting.default;
     });
-    if (fetchRetrySettings.debugMode) console.log('[Fetch Retry Debug] Default settings generated:', settings);
+    logger.debug('Default settings generated:', settings);
     return Object.freeze(settings);
 }
 
 const defaultSettings = generateDefaultSettings();
 
+// Name of the profile holding the settings used when no bound profile matches
+const DEFAULT_PROFILE = 'Default';
+
+/**
+ * @param {object} settings - Stored settings
+ * @returns {object[]} The top-level settings and the settings saved in each profile
+ */
+function getStoredSettingsCopies(settings) {
+    return [settings, ...Object.values(settings.profiles ?? {}).map(profile => profile.settings ?? {})];
+}
+
+// Settings migrations keyed by the schema version they upgrade to. Each one edits the stored settings in place.
+const settingsMigrations = {
+    // Settings saved before versioning: make sure the profile store exists
+    1: (settings) => {
+        settings.profiles = settings.profiles ?? {};
+        settings.activeProfile = settings.activeProfile || DEFAULT_PROFILE;
+    },
+    // The debug mode checkbox became a log level
+    2: (settings) => {
+        getStoredSettingsCopies(settings).forEach(target => {
+            if ('debugMode' in target) {
+                if (target.debugMode === true) target.logLevel = 'debug';
+                delete target.debugMode;
+            }
+        });
+    },
+    // The default quota and Kobold busy rules searched the body of successful replies too
+    3: (settings) => {
+        getStoredSettingsCopies(settings).forEach(target => {
+            if (!Array.isArray(target.errorClassificationRules)) return;
+            target.errorClassificationRules.forEach(rule => {
+                if (['Quota exhausted', 'Kobold busy'].includes(rule?.name) && rule.status === '*' && rule.path === undefined) {
+                    rule.status = ['4xx', '5xx'];
+                }
+            });
+        });
+    },
+};
+
+/**
+ * Bring stored or imported settings up to SETTINGS_VERSION
+ * @param {object} settings - Settings object, changed in place
+ * @returns {boolean} Whether any migration ran
+ */
+function migrateSettings(settings) {
+    const version = Number(settings.settingsVersion) || 0;
+    if (version > SETTINGS_VERSION) {
+        logger.warn(`Settings use schema version ${version}, newer than this version of the extension (${SETTINGS_VERSION}). Unknown values are ignored.`);
+        return false;
+    }
+    for (let next = version + 1; next <= SETTINGS_VERSION; next++) {
+        settingsMigrations[next]?.(settings);
+        logger.info(`Migrated settings to schema version ${next}.`);
+    }
+    settings.settingsVersion = SETTINGS_VERSION;
+    return version < SETTINGS_VERSION;
+}
+
 /**
  * Main extension initialization function
  * Executed when the extension loads, configures settings and initializes features
  */
 (function initExtension() {
-    console.log('[Fetch Retry] Initializing extension...');
+    logger.debug('Initializing extension...');
     const context = SillyTavern.getContext();
 
     if (!context.extensionSettings[settingsKey]) {
         context.extensionSettings[settingsKey] = structuredClone(defaultSettings);
-        console.log('[Fetch Retry] No existing settings found, applying default settings.');
+        logger.info('No existing settings found, applying default settings.');
     }
+    migrateSettings(context.extensionSettings[settingsKey]);
 
     // Ensure all default setting keys exist
     for (const key of Object.keys(defaultSettings)) {
         if (context.extensionSettings[settingsKey][key] === undefined) {
-            context.extensionSettings[settingsKey][key] = defaultSettings[key];
-            if (fetchRetrySettings.debugMode) console.log(`[Fetch Retry Debug] Added missing default setting: ${key}`);
+            context.extensionSettings[settingsKey][key] = structuredClone(defaultSettings[key]);
+            logger.debug(`Added missing default setting: ${key}`);
         }
     }
 
     // Apply initial settings to fetchRetrySettings
-    loadSettings(context.extensionSettings[settingsKey]);
+    const warnings = loadSettings(context.extensionSettings[settingsKey]);
+    if (warnings.length && typeof toastr !== 'undefined') {
+        /** @type {any} */ (toastr).warning(`${t`Invalid settings were corrected:`} ${warnings.join(' ')}`, 'Fetch Retry', { timeOut: 10000 });
+    }
 
     context.saveSettingsDebounced();
-    if (fetchRetrySettings.debugMode) console.log('[Fetch Retry Debug] Settings debounced save triggered.');
+    logger.debug('Settings debounced save triggered.');
 
     // Automatically load or remove CSS based on enabled status
     toggleCss(context.extensionSettings[settingsKey].enabled);
 
+    registerSlashCommands();
+    registerProfileEvents();
+    registerReplyCheckEvents();
+
     if (document.readyState === 'loading') {
-        console.log('[Fetch Retry] DOM not fully loaded, waiting for DOMContentLoaded to initialize UI.');
+        logger.debug('DOM not fully loaded, waiting for DOMContentLoaded to initialize UI.');
         document.addEventListener('DOMContentLoaded', initExtensionUI);
     } else {
-        console.log('[Fetch Retry] DOM already loaded, initializing UI immediately.');
+        logger.debug('DOM already loaded, initializing UI immediately.');
         initExtensionUI();
     }
-    console.log('[Fetch Retry] Extension initialization complete.');
+    logger.debug('Extension initialization complete.');
 })();
 
 /**
  * Initialize UI elements and events for the extension
  */
 function initExtensionUI() {
-    console.log('[Fetch Retry] Initializing UI elements...');
+    logger.debug('Initializing UI elements...');
     renderExtensionSettings();
-    console.log('[Fetch Retry] UI initialization complete.');
+    logger.debug('UI initialization complete.');
 }
 
 /**
@@ -219,7 +700,7 @@ function initExtensionUI() {
  * @param {boolean} shouldLoad - If true, load CSS, otherwise remove
  */
 function toggleCss(shouldLoad) {
-    console.log(`[Fetch Retry] Toggling CSS. Should load: ${shouldLoad}`);
+    logger.debug(`Toggling CSS. Should load: ${shouldLoad}`);
     const existingLink = document.getElementById('FetchRetry-style');
 
     if (shouldLoad) {
@@ -231,16 +712,16 @@ function toggleCss(shouldLoad) {
             link.rel = 'stylesheet';
             link.href = cssUrl;
             document.head.append(link);
-            console.log(`[Fetch Retry] CSS loaded from: ${cssUrl}`);
+            logger.debug(`CSS loaded from: ${cssUrl}`);
         } else {
-            console.log('[Fetch Retry] CSS link already exists.');
+            logger.debug('CSS link already exists.');
         }
     } else {
         if (existingLink) {
             existingLink.remove();
-            console.log('[Fetch Retry] CSS removed.');
+            logger.debug('CSS removed.');
         } else {
-            console.log('[Fetch Retry] No CSS link to remove.');
+            logger.debug('No CSS link to remove.');
         }
     }
 }
@@ -250,19 +731,19 @@ function toggleCss(shouldLoad) {
  * @returns {string} Base URL for the extension
  */
 function getBaseUrl() {
-    console.log('[Fetch Retry] Determining base URL...');
+    logger.debug('Determining base URL...');
     let baseUrl = '';
     if (typeof import.meta !== 'undefined' && import.meta.url) {
         baseUrl = new URL('.', import.meta.url).href;
-        console.log(`[Fetch Retry] Base URL from import.meta.url: ${baseUrl}`);
+        logger.debug(`Base URL from import.meta.url: ${baseUrl}`);
     } else {
         const currentScript = /** @type {HTMLScriptElement} */ (document.currentScript);
         if (currentScript && currentScript.src) {
             baseUrl = currentScript.src.substring(0, currentScript.src.lastIndexOf('/'));
-            console.log(`[Fetch Retry] Base URL from document.currentScript.src: ${baseUrl}`);
+            logger.debug(`Base URL from document.currentScript.src: ${baseUrl}`);
         } else {
             baseUrl = `${window.location.origin}data/default-user/extensions/${extensionName}`;
-            console.log(`[Fetch Retry] Base URL fallback: ${baseUrl}`);
+            logger.debug(`Base URL fallback: ${baseUrl}`);
         }
     }
     return baseUrl;
@@ -272,18 +753,18 @@ function getBaseUrl() {
  * Render extension settings panel
  */
 function renderExtensionSettings() {
-    console.log('[Fetch Retry] Rendering extension settings...');
+    logger.debug('Rendering extension settings...');
     const context = SillyTavern.getContext();
     const settingsContainer = document.getElementById(`${settingsKey}-container`) ?? document.getElementById('extensions_settings2');
     if (!settingsContainer) {
-        console.error('[Fetch Retry] Settings container not found, cannot render settings.');
+        logger.error('Settings container not found, cannot render settings.');
         return;
     }
-    console.log('[Fetch Retry] Settings container found.');
+    logger.debug('Settings container found.');
 
     let existingDrawer = settingsContainer.querySelector(`#${settingsKey}-drawer`);
     if (existingDrawer) {
-        console.log('[Fetch Retry] Existing settings drawer found, skipping re-render.');
+        logger.debug('Existing settings drawer found, skipping re-render.');
         return;
     }
 
@@ -291,7 +772,7 @@ function renderExtensionSettings() {
     inlineDrawer.id = `${settingsKey}-drawer`;
     inlineDrawer.classList.add('inline-drawer');
     settingsContainer.append(inlineDrawer);
-    console.log('[Fetch Retry] New settings drawer created.');
+    logger.debug('New settings drawer created.');
 
     const inlineDrawerToggle = document.createElement('div');
     inlineDrawerToggle.classList.add('inline-drawer-toggle', 'inline-drawer-header');
@@ -311,13 +792,15 @@ function renderExtensionSettings() {
 
     const settings = context.extensionSettings[settingsKey];
 
+    inlineDrawerContent.appendChild(createProfileSelector());
+
     // Create settings UI elements
     customSettings.forEach(setting => {
         const settingContainer = document.createElement('div');
         settingContainer.classList.add('fetch-retry-setting-item');
         createSettingItem(settingContainer, setting, settings);
         inlineDrawerContent.appendChild(settingContainer);
-        if (fetchRetrySettings.debugMode) console.log(`[Fetch Retry Debug] Created UI item for setting: ${setting.varId}`);
+        logger.debug(`Created UI item for setting: ${setting.varId}`);
     });
 
     inlineDrawerToggle.addEventListener('click', function() {
@@ -325,20 +808,25 @@ function renderExtensionSettings() {
         inlineDrawerIcon.classList.toggle('down');
         inlineDrawerIcon.classList.toggle('up');
         inlineDrawerContent.classList.toggle('open');
-        console.log('[Fetch Retry] Settings drawer toggled.');
+        logger.debug('Settings drawer toggled.');
     });
 
+    inlineDrawerContent.appendChild(createSettingsTransferButtons());
+    inlineDrawerContent.appendChild(createRetryHistoryPanel());
+    inlineDrawerContent.appendChild(createFailureJournalPanel());
+    inlineDrawerContent.appendChild(createLogViewerPanel());
+
     // Apply initial settings to UI
     applyAllSettings();
-    console.log('[Fetch Retry] Initial settings applied to UI.');
-    console.log('[Fetch Retry] Extension settings rendered.');
+    logger.debug('Initial settings applied to UI.');
+    logger.debug('Extension settings rendered.');
 }
 
 /**
  * Create single setting item
  */
 function createSettingItem(container, setting, settings) {
-    if (fetchRetrySettings.debugMode) console.log(`[Fetch Retry Debug] Creating setting item for: ${setting.varId}`);
+    logger.debug(`Creating setting item for: ${setting.varId}`);
     const context = SillyTavern.getContext();
     const { varId, displayText, description, type, default: defaultValue } = setting;
 
@@ -374,7 +862,10 @@ function createSettingItem(container, setting, settings) {
                 if (varId === 'enabled') {
                     toggleCss(inputElement.checked);
                 }
-                if (fetchRetrySettings.debugMode) console.log(`[Fetch Retry Debug] Checkbox setting changed: ${varId} = ${inputElement.checked}`);
+                if (varId === 'desktopNotifications' && inputElement.checked) {
+                    requestNotificationPermission();
+                }
+                logger.debug(`Checkbox setting changed: ${varId} = ${inputElement.checked}`);
             });
             settingRow.appendChild(inputElement);
             break;
@@ -396,7 +887,7 @@ function createSettingItem(container, setting, settings) {
                 if (numberInput) {
                     numberInput.value = inputElement.value;
                 }
-                if (fetchRetrySettings.debugMode) console.log(`[Fetch Retry Debug] Slider setting input: ${varId} = ${inputElement.value}`);
+                logger.debug(`Slider setting input: ${varId} = ${inputElement.value}`);
             });
 
             const numberInput = /** @type {HTMLInputElement} */ (document.createElement('input'));
@@ -414,7 +905,7 @@ function createSettingItem(container, setting, settings) {
                 context.saveSettingsDebounced();
                 // Update associated slider if exists
                 inputElement.value = numberInput.value;
-                if (fetchRetrySettings.debugMode) console.log(`[Fetch Retry Debug] Number input setting changed: ${varId} = ${numberInput.value}`);
+                logger.debug(`Number input setting changed: ${varId} = ${numberInput.value}`);
             });
 
             const sliderContainer = document.createElement('div');
@@ -423,17 +914,85 @@ function createSettingItem(container, setting, settings) {
             sliderContainer.appendChild(numberInput);
             settingWrapper.appendChild(sliderContainer);
             break;
+        case 'select':
+            inputElement = /** @type {HTMLSelectElement} */ (document.createElement('select'));
+            inputElement.id = `fetch-retry-${varId}`;
+            setting.options.forEach(({ value, label }) => {
+                const option = document.createElement('option');
+                option.value = value;
+                option.textContent = label;
+                inputElement.appendChild(option);
+            });
+            inputElement.value = String(settings[varId] ?? defaultValue);
+            inputElement.addEventListener('change', () => {
+                settings[varId] = inputElement.value;
+                fetchRetrySettings[varId] = inputElement.value;
+                context.saveSettingsDebounced();
+                if (varId === 'logLevel') {
+                    setLogLevel(inputElement.value);
+                }
+                logger.debug(`Select setting changed: ${varId} = ${inputElement.value}`);
+            });
+            settingRow.appendChild(inputElement);
+            break;
+        case 'textarea': {
+            const textarea = document.createElement('textarea');
+            textarea.id = `fetch-retry-${varId}`;
+            textarea.spellcheck = false;
+            textarea.value = JSON.stringify(settings[varId] ?? defaultValue, null, 2);
+
+            const saveButton = document.createElement('button');
+            saveButton.classList.add('menu_button');
+            saveButton.textContent = t`Save`;
+            saveButton.addEventListener('click', () => {
+                let value;
+                try {
+                    value = JSON.parse(textarea.value);
+                } catch (err) {
+                    /** @type {any} */ (toastr).error(`${displayText}: ${err.message}`, 'Fetch Retry');
+                    return;
+                }
+                const validationError = setting.validate ? setting.validate(value) : '';
+                if (validationError) {
+                    /** @type {any} */ (toastr).error(`${displayText}: ${validationError}`, 'Fetch Retry');
+                    return;
+                }
+                settings[varId] = value;
+                fetchRetrySettings[varId] = value;
+                context.saveSettingsDebounced();
+                /** @type {any} */ (toastr).success(t`Saved.`, 'Fetch Retry');
+                logger.debug(`JSON setting saved: ${varId}`, value);
+            });
+
+            const resetButton = document.createElement('button');
+            resetButton.classList.add('menu_button');
+            resetButton.textContent = t`Reset to default`;
+            resetButton.addEventListener('click', () => {
+                const value = structuredClone(defaultValue);
+                settings[varId] = value;
+                fetchRetrySettings[varId] = value;
+                textarea.value = JSON.stringify(value, null, 2);
+                context.saveSettingsDebounced();
+                logger.debug(`JSON setting reset: ${varId}`);
+            });
+
+            const buttonContainer = document.createElement('div');
+            buttonContainer.classList.add('button-container');
+            buttonContainer.append(saveButton, resetButton);
+            settingWrapper.append(textarea, buttonContainer);
+            break;
+        }
     }
 
     container.appendChild(settingWrapper);
-    if (fetchRetrySettings.debugMode) console.log(`[Fetch Retry Debug] Setting item created for: ${varId}`);
+    logger.debug(`Setting item created for: ${varId}`);
 }
 
 /**
  * Apply all settings to the UI and update fetchRetrySettings
  */
 function applyAllSettings() {
-    console.log('[Fetch Retry] Applying all settings to UI...');
+    logger.debug('Applying all settings to UI...');
     const context = SillyTavern.getContext();
     const settings = context.extensionSettings[settingsKey];
 
@@ -442,395 +1001,2715 @@ function applyAllSettings() {
 
         // Update the internal fetchRetrySettings object
         fetchRetrySettings[varId] = settings[varId];
-        if (fetchRetrySettings.debugMode) console.log(`[Fetch Retry Debug] Internal setting updated: ${varId} = ${fetchRetrySettings[varId]}`);
+        logger.debug(`Internal setting updated: ${varId} = ${fetchRetrySettings[varId]}`);
 
         const element = document.getElementById(`fetch-retry-${varId}`);
         if (element) {
             if (type === 'checkbox') {
                 /** @type {HTMLInputElement} */ (element).checked = Boolean(settings[varId]);
-                if (fetchRetrySettings.debugMode) console.log(`[Fetch Retry Debug] UI checkbox updated for ${varId}: ${Boolean(settings[varId])}`);
+                logger.debug(`UI checkbox updated for ${varId}: ${Boolean(settings[varId])}`);
             } else if (type === 'slider') {
                 /** @type {HTMLInputElement} */ (element).value = String(settings[varId]);
                 const numberInput = /** @type {HTMLInputElement} */ (document.getElementById(`fetch-retry-${varId}-number`));
                 if (numberInput) {
                     numberInput.value = String(settings[varId]);
-                    if (fetchRetrySettings.debugMode) console.log(`[Fetch Retry Debug] UI slider and number input updated for ${varId}: ${String(settings[varId])}`);
+                    logger.debug(`UI slider and number input updated for ${varId}: ${String(settings[varId])}`);
                 }
+            } else if (type === 'select') {
+                /** @type {HTMLSelectElement} */ (element).value = String(settings[varId]);
+                logger.debug(`UI select updated for ${varId}: ${settings[varId]}`);
+            } else if (type === 'textarea') {
+                /** @type {HTMLTextAreaElement} */ (element).value = JSON.stringify(settings[varId], null, 2);
+                logger.debug(`UI textarea updated for ${varId}`);
             }
         }
     });
-    console.log('[Fetch Retry] All settings applied to UI.');
+    setLogLevel(fetchRetrySettings.logLevel);
+    logger.debug('All settings applied to UI.');
 }
 
-// Show retry toast notification
-function showRetryToast(attempt, maxRetries, error) {
-    // attempt - это номер текущей попытки (начинается с 0)
-    // retryNumber - это номер ретрая (1, 2, 3...)
-    const retryNumber = attempt; // При attempt=1 это первый ретрай
-    const message = `retry ${retryNumber}/${maxRetries}`;
-    
-    // Build full message with error if available
-    let fullMessage = message;
-    if (error) {
-        const errorMessage = error.message || error.toString() || 'Unknown error';
-        fullMessage = `${message}: ${errorMessage}`;
+/**
+ * Parse and validate a raw value for a checkbox or slider setting
+ * @param {object} setting - Entry from customSettings
+ * @param {any} raw - Raw value, e.g. a string from a slash command
+ * @returns {{value?: any, error?: string}}
+ */
+function parseSettingValue(setting, raw) {
+    const { varId, type } = setting;
+    if (type === 'checkbox') {
+        if (typeof raw === 'boolean') return { value: raw };
+        const text = String(raw).trim().toLowerCase();
+        if (['true', 'on', '1', 'yes'].includes(text)) return { value: true };
+        if (['false', 'off', '0', 'no'].includes(text)) return { value: false };
+        return { error: `${varId} must be true or false` };
     }
-    
-    if (typeof toastr !== 'undefined') {
-        const toast = /** @type {any} */ (toastr).info(fullMessage, 'Fetch Retry', {
-            timeOut: 5000,
-            extendedTimeOut: 10000,
-            closeButton: true
-        });
-        
-        console.log(`[Fetch Retry] Retry toast shown: ${message}`);
-    } else {
-        console.log(`[Fetch Retry] Retry ${retryNumber}/${maxRetries}`);
+    if (type === 'slider') {
+        const value = Number(raw);
+        if (String(raw).trim() === '' || !isFinite(value)) return { error: `${varId} must be a number` };
+        if (value < setting.min || value > setting.max) return { error: `${varId} must be between ${setting.min} and ${setting.max}` };
+        return { value };
+    }
+    if (type === 'select') {
+        const value = String(raw).trim();
+        if (!setting.options.some(option => option.value === value)) {
+            return { error: `${varId} must be one of: ${setting.options.map(option => option.value).join(', ')}` };
+        }
+        return { value };
     }
+    return { error: `${varId} cannot be changed this way` };
 }
 
-// Handle retry: show toast, calculate delay, wait, and increment attempt
-async function handleRetry(error, response, attempt) {
-    // Show retry toast only if this is a retry (not first attempt)
-    if (attempt > 0) {
-        showRetryToast(attempt, fetchRetrySettings.maxRetries, error);
+/**
+ * Change a setting, persist it and refresh the settings UI
+ * @param {string} varId - Setting key
+ * @param {any} value - Already validated value
+ */
+function setSettingValue(varId, value) {
+    const context = SillyTavern.getContext();
+    context.extensionSettings[settingsKey][varId] = value;
+    fetchRetrySettings[varId] = value;
+    context.saveSettingsDebounced();
+    if (varId === 'enabled') {
+        toggleCss(value);
     }
-    
-    // Determine delay for retry
-    const delay = getRetryDelay(error, response, attempt);
-    console.log(`[Fetch Retry] Waiting ${delay}ms before retry...`);
-    
-    await new Promise(resolve => setTimeout(resolve, delay));
-    return attempt + 1;
+    applyAllSettings();
+    logger.debug(`Setting changed: ${varId} = ${JSON.stringify(value)}`);
 }
 
-// Show error notification function
-function showErrorNotification(error, response) {
-    console.log('[Fetch Retry] Displaying error notification...');
-    if (!fetchRetrySettings.showErrorNotification) {
-        console.log('[Fetch Retry] Error notifications are disabled.');
+/**
+ * Register /fetchretry-* slash commands. Every command returns a value that can be piped in STscript.
+ */
+function registerSlashCommands() {
+    const { SlashCommandParser, SlashCommand, SlashCommandNamedArgument, ARGUMENT_TYPE } = SillyTavern.getContext();
+    if (!SlashCommandParser || !SlashCommand || !SlashCommandNamedArgument) {
+        logger.warn('Slash command API not available, commands not registered.');
         return;
     }
-    
-    let message = 'Fetch failed after all retries';
-    let type = 'error';
-    
-    if (response) {
-        if (response.status === 429) {
-            message = `Rate limited (429): Too many requests`;
-        } else if (response.status >= 500) {
-            message = `Server error (${response.status}): ${response.statusText}`;
-        } else if (response.status === 403) {
-            message = `Forbidden (403): Access denied`;
-        } else {
-            message = `HTTP ${response.status}: ${response.statusText}`;
-        }
-        } else if (error) {
-            if (error.name === 'TimeoutError') {
-                message = `Timeout: AI thinking process exceeded limit`;
-                type = 'error';
-            } else if (error.name === 'AbortError') {
-                message = `Request aborted`;
-                type = 'error';
-            } else {
-                message = `Network error: ${error.message}`;
+    const editableSettings = customSettings.filter(setting => ['checkbox', 'slider', 'select'].includes(setting.type));
+
+    SlashCommandParser.addCommandObject(SlashCommand.fromProps({
+        name: 'fetchretry-status',
+        callback: () => JSON.stringify({ enabled: fetchRetrySettings.enabled, settings: redactSecretFields(saveSettings()), stats: getFetchRetryStats() }),
+        returns: 'JSON object with the current settings and live counters',
+        helpString: t`Returns the current Fetch Retry settings and live counters (intercepted, in flight, retries, succeeded, failed, aborted, waiting) as JSON.`,
+    }));
+
+    SlashCommandParser.addCommandObject(SlashCommand.fromProps({
+        name: 'fetchretry-set',
+        callback: (args) => {
+            const changes = {};
+            for (const setting of editableSettings) {
+                if (args[setting.varId] === undefined) continue;
+                const { value, error } = parseSettingValue(setting, args[setting.varId]);
+                if (error) {
+                    /** @type {any} */ (toastr).warning(error, 'Fetch Retry');
+                    return '';
+                }
+                changes[setting.varId] = value;
             }
-    }
-    
-    // Use SillyTavern's toast notification if available
-    if (typeof toastr !== 'undefined') {
-        /** @type {any} */ (toastr)[type](message, 'Fetch Retry');
-        console.log(`[Fetch Retry] Toastr notification shown: Type=${type}, Message="${message}"`);
-    } else {
-        // Fallback notification
-        console.error(`[Fetch Retry] Fallback notification: ${message}`);
-        alert(`Fetch Retry Error: ${message}`);
-    }
+            Object.entries(changes).forEach(([varId, value]) => setSettingValue(varId, value));
+            return JSON.stringify(changes);
+        },
+        namedArgumentList: editableSettings.map(setting => SlashCommandNamedArgument.fromProps({
+            name: setting.varId,
+            description: setting.type === 'slider' ? `${setting.displayText} (${setting.min}-${setting.max})` : setting.displayText,
+            typeList: [{ checkbox: ARGUMENT_TYPE.BOOLEAN, slider: ARGUMENT_TYPE.NUMBER, select: ARGUMENT_TYPE.STRING }[setting.type]],
+            enumList: setting.type === 'select' ? setting.options.map(option => option.value) : undefined,
+            isRequired: false,
+        })),
+        returns: 'JSON object with the applied values, or an empty string if a value was invalid',
+        helpString: t`Changes Fetch Retry settings, e.g. <code>/fetchretry-set maxRetries=3 retryDelay=2000</code>. Values are checked against the slider limits; nothing is changed if any value is invalid.`,
+    }));
+
+    SlashCommandParser.addCommandObject(SlashCommand.fromProps({
+        name: 'fetchretry-enable',
+        callback: () => {
+            setSettingValue('enabled', true);
+            return 'true';
+        },
+        returns: 'true',
+        helpString: t`Enables Fetch Retry.`,
+    }));
+
+    SlashCommandParser.addCommandObject(SlashCommand.fromProps({
+        name: 'fetchretry-disable',
+        callback: () => {
+            setSettingValue('enabled', false);
+            return 'false';
+        },
+        returns: 'false',
+        helpString: t`Disables Fetch Retry. Requests are passed through untouched.`,
+    }));
+
+    SlashCommandParser.addCommandObject(SlashCommand.fromProps({
+        name: 'fetchretry-abort',
+        callback: () => String(cancelPendingRetries()),
+        returns: 'number of cancelled retry waits',
+        helpString: t`Cancels every pending retry wait. The affected requests fail with an AbortError.`,
+    }));
+
+    logger.debug('Slash commands registered.');
 }
 
-let streamTimeoutId = null; // Declare at a higher scope
-
-async function isResponseInvalid(response, url = '') {
-    if (fetchRetrySettings.debugMode) {
-        console.log('[Fetch Retry Debug] Checking response validity for URL:', url);
+/**
+ * Take a copy of the live values of all settings shown in the drawer
+ * @returns {object}
+ */
+function getSettingsSnapshot() {
+    const snapshot = {};
+    customSettings.forEach(({ varId }) => {
+        snapshot[varId] = structuredClone(fetchRetrySettings[varId]);
+    });
+    return snapshot;
+}
+
+/**
+ * Get the name of the SillyTavern connection profile currently selected, if any
+ * @returns {string}
+ */
+function getCurrentConnectionProfileName() {
+    const connectionManager = SillyTavern.getContext().extensionSettings?.connectionManager;
+    const selected = connectionManager?.profiles?.find(profile => profile.id === connectionManager.selectedProfile);
+    return selected?.name ?? '';
+}
+
+/**
+ * Get the chat completion source currently selected, if the Chat Completion API is active
+ * @returns {string}
+ */
+function getCurrentChatCompletionSource() {
+    const context = SillyTavern.getContext();
+    if (context.mainApi && context.mainApi !== 'openai') return '';
+    return context.chatCompletionSettings?.chat_completion_source ?? '';
+}
+
+/**
+ * Pick the profile for the current connection: a profile bound to the connection profile wins
+ * over one bound to the chat completion source; otherwise the default profile is used.
+ * @param {string} connectionProfile - Connection profile name
+ * @param {string} source - Chat completion source
+ * @returns {string} Profile name
+ */
+function resolveBoundProfile(connectionProfile, source) {
+    const profiles = Object.entries(SillyTavern.getContext().extensionSettings[settingsKey].profiles ?? {});
+    const byConnection = connectionProfile && profiles.find(([, profile]) => profile.connectionProfile === connectionProfile);
+    if (byConnection) return byConnection[0];
+    const bySource = source && profiles.find(([, profile]) => profile.source === source);
+    if (bySource) return bySource[0];
+    return DEFAULT_PROFILE;
+}
+
+/**
+ * Switch the live settings to another profile. The live values are first stored
+ * in the profile being left, so edits made in the drawer are kept per profile.
+ * @param {string} name - Profile to activate
+ * @param {string} [reason] - Shown in the notification
+ */
+function switchProfile(name, reason = '') {
+    const context = SillyTavern.getContext();
+    const settings = context.extensionSettings[settingsKey];
+    settings.profiles = settings.profiles ?? {};
+    const current = settings.activeProfile || DEFAULT_PROFILE;
+    if (name === current) return;
+    if (name !== DEFAULT_PROFILE && !settings.profiles[name]) {
+        logger.warn(`Profile "${name}" does not exist.`);
+        return;
+    }
+
+    settings.profiles[current] = { ...settings.profiles[current], settings: getSettingsSnapshot() };
+
+    // Keys missing from a (hand-edited) profile fall back to the default profile
+    const target = settings.profiles[name]?.settings;
+    const fallback = settings.profiles[DEFAULT_PROFILE]?.settings ?? defaultSettings;
+    if (target) {
+        customSettings.forEach(({ varId }) => {
+            const value = target[varId] ?? fallback[varId];
+            if (value !== undefined) settings[varId] = structuredClone(value);
+        });
+    }
+    settings.activeProfile = name;
+    loadSettings(settings);
+    applyAllSettings();
+    toggleCss(settings.enabled);
+    renderProfileSelector();
+    context.saveSettingsDebounced();
+
+    logger.info(`Switched to settings profile "${name}"${reason ? ` (${reason})` : ''}.`);
+    if (typeof toastr !== 'undefined') {
+        /** @type {any} */ (toastr).info(`Settings profile: ${name}${reason ? ` (${reason})` : ''}`, 'Fetch Retry', { timeOut: 3000 });
+    }
+}
+
+/**
+ * Apply the profile bound to the current connection profile or chat completion source
+ * @param {string} [connectionProfile] - Connection profile name from the event, if known
+ */
+function applyBoundProfile(connectionProfile) {
+    const profileName = connectionProfile ?? getCurrentConnectionProfileName();
+    const source = getCurrentChatCompletionSource();
+    const target = resolveBoundProfile(profileName, source);
+    logger.debug(`Connection changed: profile='${profileName}', source='${source}' -> settings profile '${target}'`);
+    switchProfile(target, t`connection changed`);
+}
+
+/**
+ * Follow SillyTavern source and connection profile changes
+ */
+function registerProfileEvents() {
+    const { eventSource, eventTypes } = SillyTavern.getContext();
+    if (!eventSource || !eventTypes) {
+        logger.warn('eventSource not available, settings profiles will not switch automatically.');
+        return;
+    }
+    if (eventTypes.CONNECTION_PROFILE_LOADED) {
+        eventSource.on(eventTypes.CONNECTION_PROFILE_LOADED, (profileName) => applyBoundProfile(typeof profileName === 'string' ? profileName : undefined));
+    }
+    for (const type of [eventTypes.CHATCOMPLETION_SOURCE_CHANGED, eventTypes.MAIN_API_CHANGED]) {
+        if (type) eventSource.on(type, () => applyBoundProfile());
+    }
+}
+
+/**
+ * Create the profile selector shown at the top of the settings drawer
+ * @returns {HTMLElement}
+ */
+function createProfileSelector() {
+    const context = SillyTavern.getContext();
+    const container = document.createElement('div');
+    container.classList.add('fetch-retry-setting-item', 'fetch-retry-profiles');
+
+    const wrapper = document.createElement('div');
+    wrapper.classList.add('fetch-retry-setting-wrapper');
+
+    const row = document.createElement('div');
+    row.classList.add('setting-row');
+    const label = document.createElement('label');
+    label.htmlFor = 'fetch-retry-profile';
+    label.textContent = t`Settings Profile`;
+    const select = document.createElement('select');
+    select.id = 'fetch-retry-profile';
+    select.addEventListener('change', () => switchProfile(select.value, t`selected manually`));
+    row.append(label, select);
+
+    const description = document.createElement('small');
+    description.textContent = t`Each profile keeps its own copy of the settings below. Bind a profile to a connection profile or chat completion source to switch to it automatically.`;
+
+    const bindingRow = document.createElement('div');
+    bindingRow.classList.add('fetch-retry-profile-bindings');
+    const connectionInput = document.createElement('input');
+    connectionInput.id = 'fetch-retry-profile-connection';
+    connectionInput.type = 'text';
+    connectionInput.placeholder = t`Connection profile name`;
+    const sourceInput = document.createElement('input');
+    sourceInput.id = 'fetch-retry-profile-source';
+    sourceInput.type = 'text';
+    sourceInput.placeholder = t`Chat completion source (e.g. openrouter)`;
+    const updateBinding = () => {
+        const settings = context.extensionSettings[settingsKey];
+        const profile = settings.profiles?.[settings.activeProfile];
+        if (!profile) return;
+        profile.connectionProfile = connectionInput.value.trim();
+        profile.source = sourceInput.value.trim();
+        context.saveSettingsDebounced();
+    };
+    connectionInput.addEventListener('change', updateBinding);
+    sourceInput.addEventListener('change', updateBinding);
+    bindingRow.append(connectionInput, sourceInput);
+
+    const newButton = document.createElement('button');
+    newButton.classList.add('menu_button');
+    newButton.textContent = t`New profile`;
+    newButton.addEventListener('click', async () => {
+        const name = String(await promptText(t`Name of the new settings profile (starts as a copy of the current settings):`) ?? '').trim();
+        if (!name) return;
+        const settings = context.extensionSettings[settingsKey];
+        settings.profiles = settings.profiles ?? {};
+        if (name === DEFAULT_PROFILE || settings.profiles[name]) {
+            /** @type {any} */ (toastr).warning(`Profile "${name}" already exists.`, 'Fetch Retry');
+            return;
+        }
+        settings.profiles[name] = {
+            connectionProfile: getCurrentConnectionProfileName(),
+            source: getCurrentChatCompletionSource(),
+            settings: getSettingsSnapshot(),
+        };
+        switchProfile(name, t`created`);
+    });
+
+    const deleteButton = document.createElement('button');
+    deleteButton.id = 'fetch-retry-profile-delete';
+    deleteButton.classList.add('menu_button');
+    deleteButton.textContent = t`Delete profile`;
+    deleteButton.addEventListener('click', () => {
+        const settings = context.extensionSettings[settingsKey];
+        const name = settings.activeProfile;
+        if (!name || name === DEFAULT_PROFILE) return;
+        switchProfile(DEFAULT_PROFILE, t`profile deleted`);
+        delete settings.profiles[name];
+        renderProfileSelector();
+        context.saveSettingsDebounced();
+    });
+
+    const buttons = document.createElement('div');
+    buttons.classList.add('button-container');
+    buttons.append(newButton, deleteButton);
+
+    wrapper.append(row, description, bindingRow, buttons);
+    container.appendChild(wrapper);
+    renderProfileSelector(container);
+    return container;
+}
+
+/**
+ * Refresh the profile selector options and binding inputs
+ * @param {ParentNode} [root] - Element containing the selector, defaults to the document
+ */
+function renderProfileSelector(root = document) {
+    const select = /** @type {HTMLSelectElement} */ (root.querySelector('#fetch-retry-profile'));
+    if (!select) return;
+    const settings = SillyTavern.getContext().extensionSettings[settingsKey];
+    const active = settings.activeProfile || DEFAULT_PROFILE;
+    const names = [DEFAULT_PROFILE, ...Object.keys(settings.profiles ?? {}).filter(name => name !== DEFAULT_PROFILE)];
+
+    select.replaceChildren(...names.map(name => {
+        const option = document.createElement('option');
+        option.value = name;
+        option.textContent = name;
+        return option;
+    }));
+    select.value = active;
+
+    const profile = settings.profiles?.[active];
+    const isDefault = active === DEFAULT_PROFILE;
+    const connectionInput = /** @type {HTMLInputElement} */ (root.querySelector('#fetch-retry-profile-connection'));
+    const sourceInput = /** @type {HTMLInputElement} */ (root.querySelector('#fetch-retry-profile-source'));
+    const deleteButton = /** @type {HTMLButtonElement} */ (root.querySelector('#fetch-retry-profile-delete'));
+    connectionInput.value = isDefault ? '' : profile?.connectionProfile ?? '';
+    sourceInput.value = isDefault ? '' : profile?.source ?? '';
+    connectionInput.disabled = isDefault;
+    sourceInput.disabled = isDefault;
+    deleteButton.disabled = isDefault;
+}
+
+/**
+ * Ask the user for a line of text using SillyTavern's popup, or the browser prompt as a fallback
+ * @param {string} message
+ * @returns {Promise<string|null>}
+ */
+async function promptText(message) {
+    const { callGenericPopup, POPUP_TYPE } = SillyTavern.getContext();
+    if (callGenericPopup && POPUP_TYPE) {
+        const result = await callGenericPopup(message, POPUP_TYPE.INPUT, '');
+        return typeof result === 'string' ? result : null;
+    }
+    return window.prompt(message);
+}
+
+/**
+ * Download the live settings of the active profile as a file that can be imported elsewhere
+ */
+function exportSettings() {
+    // Proxy passwords in the fallback chain are masked; importSettings keeps the local ones
+    downloadJsonFile({ settingsVersion: SETTINGS_VERSION, exportedAt: new Date().toISOString(), ...redactSecretFields(getSettingsSnapshot()) }, 'fetch-retry-settings');
+    logger.info('Settings exported.');
+}
+
+/**
+ * Replace proxy passwords masked by exportSettings with the password of the local fallback entry
+ * for the same reverse proxy, or drop them
+ * @param {any} chain - Imported fallback chain, changed in place
+ * @returns {string[]} Warnings for passwords that have to be entered again
+ */
+function restoreMaskedProxyPasswords(chain) {
+    if (!Array.isArray(chain)) return [];
+    const localChain = Array.isArray(fetchRetrySettings.fallbackChain) ? fetchRetrySettings.fallbackChain : [];
+    const warnings = [];
+    chain.forEach((entry, index) => {
+        if (entry?.proxy_password !== redactedText) return;
+        const local = localChain.find(localEntry => localEntry.reverse_proxy === entry.reverse_proxy && localEntry.proxy_password);
+        if (local) {
+            entry.proxy_password = local.proxy_password;
+        } else {
+            delete entry.proxy_password;
+            warnings.push(`Fallback ${index + 1}: the file does not include the proxy password, enter it again.`);
+        }
+    });
+    return warnings;
+}
+
+/**
+ * Apply an exported settings file to the active profile. The file is migrated to the current
+ * schema and every value is checked like stored settings; unknown keys are ignored.
+ * @param {object} data - Parsed settings file
+ * @returns {{applied: number, warnings: string[]}}
+ * @throws {Error} If the file holds no Fetch Retry settings
+ */
+function importSettings(data) {
+    if (!data || typeof data !== 'object' || Array.isArray(data)) throw new Error('the file does not contain a settings object');
+    const imported = structuredClone(data);
+    migrateSettings(imported);
+    const known = customSettings.filter(({ varId }) => imported[varId] !== undefined);
+    if (!known.length) throw new Error('the file does not contain any Fetch Retry settings');
+
+    const context = SillyTavern.getContext();
+    const settings = context.extensionSettings[settingsKey];
+    const maskWarnings = restoreMaskedProxyPasswords(imported.fallbackChain);
+    known.forEach(({ varId }) => {
+        settings[varId] = imported[varId];
+    });
+    const warnings = [...maskWarnings, ...loadSettings(settings)];
+    applyAllSettings();
+    toggleCss(settings.enabled);
+    context.saveSettingsDebounced();
+    logger.info(`Imported ${known.length} settings.`);
+    return { applied: known.length, warnings };
+}
+
+/**
+ * Create the "Export settings" and "Import settings" buttons of the settings drawer
+ * @returns {HTMLElement}
+ */
+function createSettingsTransferButtons() {
+    const fileInput = document.createElement('input');
+    fileInput.type = 'file';
+    fileInput.accept = '.json,application/json';
+    fileInput.hidden = true;
+    fileInput.addEventListener('change', async () => {
+        const file = fileInput.files?.[0];
+        fileInput.value = '';
+        if (!file) return;
+        try {
+            const { applied, warnings } = importSettings(JSON.parse(await file.text()));
+            /** @type {any} */ (toastr).success(`Imported ${applied} settings into profile "${SillyTavern.getContext().extensionSettings[settingsKey].activeProfile || DEFAULT_PROFILE}".`, 'Fetch Retry');
+            if (warnings.length) {
+                /** @type {any} */ (toastr).warning(`${t`Invalid settings were corrected:`} ${warnings.join(' ')}`, 'Fetch Retry', { timeOut: 10000 });
+            }
+        } catch (error) {
+            logger.error('Settings import failed:', error);
+            /** @type {any} */ (toastr).error(`Could not import settings: ${error.message}`, 'Fetch Retry');
+        }
+    });
+
+    const exportButton = document.createElement('button');
+    exportButton.classList.add('menu_button');
+    exportButton.textContent = t`Export settings`;
+    exportButton.addEventListener('click', exportSettings);
+
+    const importButton = document.createElement('button');
+    importButton.classList.add('menu_button');
+    importButton.textContent = t`Import settings`;
+    importButton.addEventListener('click', () => fileInput.click());
+
+    const buttons = document.createElement('div');
+    buttons.classList.add('button-container', 'fetch-retry-settings-transfer');
+    buttons.append(exportButton, importButton, fileInput);
+    return buttons;
+}
+
+// Live counters since page load
+const retryStats = {
+    intercepted: 0,
+    inFlight: 0,
+    retries: 0,
+    succeeded: 0,
+    failed: 0,
+    aborted: 0,
+    autoRegenerations: 0,
+};
+
+// In-memory history of intercepted requests, newest first
+const retryHistory = [];
+let historyIdCounter = 0;
+let historyRenderTimer = null;
+const expandedHistoryIds = new Set();
+
+/**
+ * Start a history entry for an intercepted request
+ * @param {string} url
+ * @param {string} method
+ * @returns {object} History entry
+ */
+function startHistoryEntry(url, method) {
+    const entry = {
+        id: ++historyIdCounter,
+        url,
+        method,
+        startedAt: Date.now(),
+        finishedAt: null,
+        outcome: 'pending',
+        error: null,
+        attempts: [],
+    };
+    retryStats.intercepted++;
+    retryStats.inFlight++;
+    retryHistory.unshift(entry);
+    retryHistory.splice(Math.max(fetchRetrySettings.historySize, 1));
+    scheduleHistoryRender();
+    return entry;
+}
+
+/**
+ * Add an attempt to a history entry
+ * @param {object} entry - History entry
+ * @param {string} [fallback] - Label of the fallback entry the attempt uses
+ * @returns {object} Attempt record; status, error, timeout and delay are filled in as the attempt progresses
+ */
+function startHistoryAttempt(entry, fallback = '') {
+    const record = { number: entry.attempts.length + 1, startedAt: Date.now(), status: null, error: null, timeout: null, delay: null, fallback };
+    entry.attempts.push(record);
+    scheduleHistoryRender();
+    return record;
+}
+
+function updateHistoryAttempt(entry, data) {
+    const record = entry?.attempts[entry.attempts.length - 1];
+    if (!record) return;
+    Object.assign(record, data);
+    scheduleHistoryRender();
+}
+
+function finishHistoryEntry(entry, outcome, error = null) {
+    if (!entry) return;
+    if (entry.outcome === 'pending') {
+        retryStats.inFlight--;
+        if (outcome === 'success') retryStats.succeeded++;
+        else if (outcome === 'aborted') retryStats.aborted++;
+        else if (outcome !== 'client_error') retryStats.failed++;
+    } else if (['stream_stalled', 'timed_out'].includes(outcome) && entry.outcome === 'success') {
+        // A stream that stalled or timed out after the response was handed over turns a success into a failure
+        retryStats.succeeded--;
+        retryStats.failed++;
+    }
+    entry.outcome = outcome;
+    entry.finishedAt = Date.now();
+    entry.error = error ? `${error.name}: ${error.message}` : null;
+    scheduleHistoryRender();
+}
+
+function scheduleHistoryRender() {
+    if (historyRenderTimer) return;
+    historyRenderTimer = setTimeout(() => {
+        historyRenderTimer = null;
+        renderRetryHistoryTable();
+    }, 250);
+}
+
+/**
+ * Create the collapsible retry history panel for the settings drawer
+ * @returns {HTMLElement}
+ */
+function createRetryHistoryPanel() {
+    const panel = document.createElement('div');
+    panel.classList.add('inline-drawer', 'fetch-retry-history');
+
+    const toggle = document.createElement('div');
+    toggle.classList.add('inline-drawer-toggle', 'inline-drawer-header');
+    const title = document.createElement('b');
+    title.textContent = t`Retry History`;
+    const icon = document.createElement('div');
+    icon.classList.add('inline-drawer-icon', 'fa-solid', 'fa-circle-chevron-down', 'down');
+    toggle.append(title, icon);
+
+    const content = document.createElement('div');
+    content.classList.add('inline-drawer-content');
+
+    const toolbar = document.createElement('div');
+    toolbar.classList.add('fetch-retry-history-toolbar');
+
+    const outcomeFilter = document.createElement('select');
+    outcomeFilter.id = 'fetch-retry-history-outcome';
+    for (const [value, label] of [['all', t`All requests`], ['retried', t`Retried`], ['failed', t`Failed`], ['success', t`Succeeded`]]) {
+        const option = document.createElement('option');
+        option.value = value;
+        option.textContent = label;
+        outcomeFilter.appendChild(option);
+    }
+    outcomeFilter.addEventListener('change', renderRetryHistoryTable);
+
+    const urlFilter = document.createElement('input');
+    urlFilter.id = 'fetch-retry-history-url';
+    urlFilter.type = 'search';
+    urlFilter.placeholder = t`Filter by URL`;
+    urlFilter.addEventListener('input', renderRetryHistoryTable);
+
+    const clearButton = document.createElement('button');
+    clearButton.classList.add('menu_button');
+    clearButton.textContent = t`Clear`;
+    clearButton.addEventListener('click', () => {
+        retryHistory.length = 0;
+        expandedHistoryIds.clear();
+        renderRetryHistoryTable();
+    });
+
+    const exportButton = document.createElement('button');
+    exportButton.classList.add('menu_button');
+    exportButton.textContent = t`Export as JSON`;
+    exportButton.addEventListener('click', exportRetryHistory);
+
+    toolbar.append(outcomeFilter, urlFilter, clearButton, exportButton);
+
+    const table = document.createElement('table');
+    table.id = 'fetch-retry-history-table';
+    table.classList.add('fetch-retry-history-table');
+
+    content.append(toolbar, table);
+    panel.append(toggle, content);
+
+    toggle.addEventListener('click', function() {
+        this.classList.toggle('open');
+        icon.classList.toggle('down');
+        icon.classList.toggle('up');
+        content.classList.toggle('open');
+        renderRetryHistoryTable();
+    });
+
+    return panel;
+}
+
+/**
+ * Get the history entries matching the current panel filters
+ * @returns {object[]}
+ */
+function getFilteredHistory() {
+    const outcome = /** @type {HTMLSelectElement} */ (document.getElementById('fetch-retry-history-outcome'))?.value ?? 'all';
+    const urlText = /** @type {HTMLInputElement} */ (document.getElementById('fetch-retry-history-url'))?.value.trim().toLowerCase() ?? '';
+
+    return retryHistory.filter(entry => {
+        if (urlText && !entry.url.toLowerCase().includes(urlText)) return false;
+        switch (outcome) {
+            case 'retried': return entry.attempts.length > 1;
+            case 'failed': return ['failed', 'stream_stalled', 'timed_out', 'invalid'].includes(entry.outcome);
+            case 'success': return entry.outcome === 'success';
+            default: return true;
+        }
+    });
+}
+
+function formatHistoryAttempt(record) {
+    const result = record.status !== null ? `HTTP ${record.status}` : (record.error ?? 'pending');
+    const parts = [`#${record.number}`, new Date(record.startedAt).toLocaleTimeString(), result];
+    if (record.queued) parts.push(`queued ${record.queued}ms`);
+    if (record.fallback) parts.push(`fallback: ${record.fallback}`);
+    if (record.timeout) parts.push(`timeout: ${record.timeout}`);
+    if (record.offlineWait) parts.push(`offline ${Math.round(record.offlineWait / 1000)}s`);
+    if (record.partialChars) parts.push(`partial reply: ${record.partialChars} chars`);
+    if (record.delay !== null) parts.push(`next retry in ${Math.round(record.delay)}ms${record.delayFromOtherTab ? ' (set by another tab)' : ''}`);
+    return parts.join(' · ');
+}
+
+/**
+ * Render the history table with one row per request and a collapsible attempt timeline
+ */
+function renderRetryHistoryTable() {
+    const table = document.getElementById('fetch-retry-history-table');
+    if (!table) return;
+    table.replaceChildren();
+
+    const header = document.createElement('tr');
+    for (const column of [t`Time`, t`Method`, t`URL`, t`Attempts`, t`Outcome`, t`Duration`]) {
+        const th = document.createElement('th');
+        th.textContent = column;
+        header.appendChild(th);
+    }
+    table.appendChild(header);
+
+    const entries = getFilteredHistory();
+    if (!entries.length) {
+        const emptyRow = document.createElement('tr');
+        const cell = document.createElement('td');
+        cell.colSpan = 6;
+        cell.textContent = t`No requests recorded.`;
+        emptyRow.appendChild(cell);
+        table.appendChild(emptyRow);
+        return;
+    }
+
+    for (const entry of entries) {
+        const row = document.createElement('tr');
+        row.classList.add('fetch-retry-history-row', `outcome-${entry.outcome}`);
+        const duration = entry.finishedAt ? `${((entry.finishedAt - entry.startedAt) / 1000).toFixed(1)}s` : '…';
+        for (const value of [new Date(entry.startedAt).toLocaleTimeString(), entry.method, entry.url, String(entry.attempts.length), entry.outcome, duration]) {
+            const cell = document.createElement('td');
+            cell.textContent = value;
+            row.appendChild(cell);
+        }
+        row.cells[2].title = entry.url;
+
+        const detailRow = document.createElement('tr');
+        detailRow.classList.add('fetch-retry-history-detail');
+        detailRow.hidden = !expandedHistoryIds.has(entry.id);
+        const detailCell = document.createElement('td');
+        detailCell.colSpan = 6;
+        const timeline = document.createElement('ol');
+        for (const record of entry.attempts) {
+            const item = document.createElement('li');
+            item.textContent = formatHistoryAttempt(record);
+            timeline.appendChild(item);
+        }
+        detailCell.appendChild(timeline);
+        if (entry.error) {
+            const errorText = document.createElement('small');
+            errorText.textContent = entry.error;
+            detailCell.appendChild(errorText);
+        }
+        detailRow.appendChild(detailCell);
+
+        row.addEventListener('click', () => {
+            detailRow.hidden = !detailRow.hidden;
+            if (detailRow.hidden) {
+                expandedHistoryIds.delete(entry.id);
+            } else {
+                expandedHistoryIds.add(entry.id);
+            }
+        });
+        table.append(row, detailRow);
+    }
+}
+
+/**
+ * Let the browser download data as a timestamped JSON file
+ * @param {object} data
+ * @param {string} prefix - File name before the timestamp
+ */
+function downloadJsonFile(data, prefix) {
+    const url = URL.createObjectURL(new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `${prefix}-${new Date().toISOString().replace(/[:.]/g, '-')}.json`;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+}
+
+/**
+ * Download the retry history as a JSON file
+ */
+function exportRetryHistory() {
+    downloadJsonFile({ exportedAt: new Date().toISOString(), settings: redactSecretFields(saveSettings()), history: retryHistory }, 'fetch-retry-history');
+    logger.info(`Exported ${retryHistory.length} history entries.`);
+}
+
+// Show retry toast notification
+/**
+ * Show a toast counting down to the next attempt, with "Retry now" and "Give up" buttons
+ * @param {number} attempt - Number of the failed attempt (starts at 0)
+ * @param {number} maxRetries
+ * @param {any} error - Error that caused the retry
+ * @param {number} delay - Delay before the next attempt in ms
+ * @param {object} wait - Pending wait from waitForRetry, with skip() and cancel()
+ * @returns {() => void} Closes the toast and stops the countdown
+ */
+function showRetryToast(attempt, maxRetries, error, delay, wait) {
+    const retryNumber = attempt + 1;
+    const message = `retry ${retryNumber}/${maxRetries}`;
+
+    // Build full message with error if available
+    let fullMessage = message;
+    if (error) {
+        const errorMessage = error.message || error.toString() || 'Unknown error';
+        fullMessage = `${message}: ${errorMessage}`;
+    }
+
+    if (typeof toastr === 'undefined') {
+        logger.info(`Retry ${retryNumber}/${maxRetries} in ${delay}ms`);
+        return () => {};
+    }
+
+    const toast = /** @type {any} */ (toastr).info(fullMessage, 'Fetch Retry', {
+        timeOut: 0,
+        extendedTimeOut: 0,
+        tapToDismiss: false,
+        closeButton: false,
+    });
+    logger.debug(`Retry toast shown: ${message}`);
+
+    const messageElement = toast?.[0]?.querySelector('.toast-message');
+    const deadline = Date.now() + delay;
+    let intervalId = null;
+    if (messageElement) {
+        const countdown = document.createElement('div');
+        countdown.classList.add('fetch-retry-countdown');
+        const updateCountdown = () => {
+            const seconds = Math.max(0, Math.ceil((deadline - Date.now()) / 1000));
+            countdown.textContent = t`Next attempt in ${seconds}s`;
+        };
+        updateCountdown();
+        intervalId = setInterval(updateCountdown, 1000);
+
+        const buttons = document.createElement('div');
+        buttons.classList.add('fetch-retry-toast-buttons');
+        const retryNowButton = document.createElement('button');
+        retryNowButton.classList.add('menu_button');
+        retryNowButton.textContent = t`Retry now`;
+        retryNowButton.addEventListener('click', () => wait.skip());
+        const giveUpButton = document.createElement('button');
+        giveUpButton.classList.add('menu_button');
+        giveUpButton.textContent = t`Give up`;
+        giveUpButton.addEventListener('click', () => wait.cancel());
+        buttons.append(retryNowButton, giveUpButton);
+
+        messageElement.append(countdown, buttons);
+    }
+
+    return () => {
+        clearInterval(intervalId);
+        /** @type {any} */ (toastr).clear(toast);
+    };
+}
+
+// Backoff waits currently in progress, so they can be cancelled from outside the retry loop
+const pendingRetryWaits = new Set();
+
+/**
+ * Cancel all backoff waits in progress; their requests fail with an AbortError
+ * @returns {number} Number of cancelled waits
+ */
+function cancelPendingRetries() {
+    const waits = [...pendingRetryWaits];
+    waits.forEach(wait => wait.cancel());
+    if (waits.length) logger.info(`Cancelled ${waits.length} pending retry wait(s).`);
+    return waits.length;
+}
+
+// How often the SillyTavern server is probed while waiting for the network, and how long a probe may take
+const offlineProbeInterval = 5000;
+const offlineProbeTimeout = 3000;
+
+// One "waiting for network" toast is shared by all requests waiting for connectivity
+let offlineToast = null;
+let offlineWaiters = 0;
+
+/**
+ * Check whether the SillyTavern server answers at all
+ * @param {Function} baseFetch - Unpatched fetch
+ * @returns {Promise<boolean>}
+ */
+async function probeServer(baseFetch) {
+    const controller = new AbortController();
+    const timerId = setTimeout(() => controller.abort(), offlineProbeTimeout);
+    try {
+        await baseFetch(`${window.location.origin}/`, { method: 'HEAD', cache: 'no-store', signal: controller.signal });
+        return true;
+    } catch {
+        return false;
+    } finally {
+        clearTimeout(timerId);
+    }
+}
+
+/**
+ * Check whether a network error was caused by lost connectivity rather than the request itself
+ * @param {Function} baseFetch - Unpatched fetch
+ * @returns {Promise<boolean>}
+ */
+async function isOffline(baseFetch) {
+    if (!navigator.onLine) return true;
+    return !(await probeServer(baseFetch));
+}
+
+function createOfflineError(waited) {
+    const error = new Error(`Network offline: gave up after waiting ${Math.round(waited / 1000)}s for the connection to return`);
+    error.name = 'OfflineError';
+    return error;
+}
+
+/**
+ * Pause until the browser is online and the SillyTavern server answers again.
+ * Rejects with an AbortError if the caller aborts or retries are cancelled.
+ * @param {Function} baseFetch - Unpatched fetch used for probing
+ * @param {number} maxWait - Maximum wait in ms
+ * @param {AbortSignal} [signal] - Signal passed in by the caller
+ * @returns {Promise<boolean>} False if the connection did not return within maxWait
+ */
+async function waitForConnectivity(baseFetch, maxWait, signal) {
+    const deadline = Date.now() + maxWait;
+    offlineWaiters++;
+    if (!offlineToast && typeof toastr !== 'undefined') {
+        offlineToast = /** @type {any} */ (toastr).warning(t`Waiting for network...`, 'Fetch Retry', {
+            timeOut: 0,
+            extendedTimeOut: 0,
+            tapToDismiss: false,
+        });
+    }
+    logger.warn('Network is unreachable. Pausing retries until it returns.');
+
+    let onOnline = null;
+    let pendingWait = null;
+    try {
+        while (Date.now() < deadline) {
+            // Woken early by the browser's "online" event
+            await waitForRetry(Math.min(offlineProbeInterval, deadline - Date.now()), signal, wait => {
+                pendingWait = wait;
+                pendingRetryWaits.add(wait);
+                onOnline = () => wait.skip();
+                window.addEventListener('online', onOnline, { once: true });
+            });
+            pendingRetryWaits.delete(pendingWait);
+            window.removeEventListener('online', onOnline);
+            if (navigator.onLine && await probeServer(baseFetch)) {
+                logger.info('Network is back. Resuming retries.');
+                return true;
+            }
+        }
+        return false;
+    } finally {
+        pendingRetryWaits.delete(pendingWait);
+        window.removeEventListener('online', onOnline);
+        offlineWaiters--;
+        if (offlineWaiters === 0 && offlineToast) {
+            /** @type {any} */ (toastr).clear(offlineToast);
+            offlineToast = null;
+        }
+    }
+}
+
+// Show error notification function
+function showErrorNotification(error, response) {
+    logger.debug('Displaying error notification...');
+    if (!fetchRetrySettings.showErrorNotification) {
+        logger.debug('Error notifications are disabled.');
+        return;
+    }
+    
+    let message = 'Fetch failed after all retries';
+    let type = 'error';
+    
+    if (error?.name === 'ClassifiedError' || error?.name === 'RetryLimitError') {
+        message = error.message;
+    } else if (response) {
+        if (response.status === 429) {
+            message = `Rate limited (429): Too many requests`;
+        } else if (response.status >= 500) {
+            message = `Server error (${response.status}): ${response.statusText}`;
+        } else if (response.status === 403) {
+            message = `Forbidden (403): Access denied`;
+        } else {
+            message = `HTTP ${response.status}: ${response.statusText}`;
+        }
+        } else if (error) {
+            if (error.name === 'TimeoutError' && error.timeout === 'stream_inactivity') {
+                message = `Timeout: stream stopped sending data for ${error.timeoutMs}ms`;
+                type = 'error';
+            } else if (error.name === 'TimeoutError' && error.timeout === 'first_byte') {
+                message = `Timeout: server did not start responding within ${error.timeoutMs}ms`;
+                type = 'error';
+            } else if (error.name === 'TimeoutError' && error.timeout === 'reasoning') {
+                message = `Timeout: reasoning phase exceeded ${error.timeoutMs}ms without reply text`;
+                type = 'error';
+            } else if (error.name === 'TimeoutError' && error.timeout === 'total') {
+                message = `Timeout: request exceeded the total duration limit of ${error.timeoutMs}ms`;
+                type = 'error';
+            } else if (error.name === 'TimeoutError') {
+                message = `Timeout: ${error.message}`;
+                type = 'error';
+            } else if (error.name === 'OfflineError') {
+                message = error.message;
+                type = 'error';
+            } else if (error.name === 'CircuitOpenError') {
+                message = error.message;
+                type = 'warning';
+            } else if (error.name === 'AbortError') {
+                message = `Request aborted`;
+                type = 'error';
+            } else {
+                message = `Network error: ${error.message}`;
+            }
+    }
+    
+    // Use SillyTavern's toast notification if available
+    if (typeof toastr !== 'undefined') {
+        /** @type {any} */ (toastr)[type](message, 'Fetch Retry');
+        logger.debug(`Toastr notification shown: Type=${type}, Message="${message}"`);
+    } else {
+        // Fallback notification, without blocking the page like alert() would
+        logger.error(`Fallback notification: ${message}`);
+        const notified = fetchRetrySettings.desktopNotifications && showDesktopNotification(message, false);
+        if (!notified) showFallbackNotice(`Fetch Retry Error: ${message}`);
+    }
+}
+
+/**
+ * Show a dismissable notice at the bottom of the page, for when toastr is not available
+ * @param {string} message
+ */
+function showFallbackNotice(message) {
+    if (!document.body) return;
+    const notice = document.createElement('div');
+    notice.classList.add('fetch-retry-fallback-notice');
+    notice.setAttribute('role', 'alert');
+    notice.textContent = message;
+    notice.title = t`Click to dismiss`;
+    notice.addEventListener('click', () => notice.remove());
+    document.body.appendChild(notice);
+    setTimeout(() => notice.remove(), 15000);
+}
+
+/**
+ * Ask the browser for permission to show desktop notifications
+ */
+async function requestNotificationPermission() {
+    if (typeof Notification === 'undefined') {
+        /** @type {any} */ (toastr).warning(t`This browser does not support desktop notifications.`, 'Fetch Retry');
+        return;
+    }
+    if (Notification.permission === 'granted') return;
+    const permission = await Notification.requestPermission();
+    logger.info(`Desktop notification permission: ${permission}`);
+    if (permission !== 'granted') {
+        /** @type {any} */ (toastr).warning(t`Desktop notifications are blocked. Allow them for this site in the browser settings.`, 'Fetch Retry');
+    }
+}
+
+/**
+ * Show a browser notification, if permission was granted
+ * @param {string} message
+ * @param {boolean} succeeded - Whether the request finally succeeded
+ * @returns {boolean} Whether a notification was shown
+ */
+function showDesktopNotification(message, succeeded) {
+    if (typeof Notification === 'undefined' || Notification.permission !== 'granted') return false;
+    try {
+        const notification = new Notification(succeeded ? t`Fetch Retry: request succeeded` : t`Fetch Retry: request failed`, {
+            body: message,
+            tag: 'fetch-retry',
+        });
+        notification.addEventListener('click', () => {
+            window.focus();
+            notification.close();
+        });
+        return true;
+    } catch (err) {
+        // Some mobile browsers only allow notifications from a service worker
+        logger.warn('Could not show a desktop notification:', err);
+        return false;
+    }
+}
+
+// Created on the first sound cue
+let audioContext = null;
+
+/**
+ * Play a short two-note cue: rising when a request finally succeeded, falling when it gave up
+ * @param {boolean} succeeded
+ */
+function playSoundCue(succeeded) {
+    try {
+        audioContext ??= new AudioContext();
+        const frequencies = succeeded ? [660, 880] : [440, 294];
+        frequencies.forEach((frequency, index) => {
+            const start = audioContext.currentTime + index * 0.15;
+            const oscillator = audioContext.createOscillator();
+            const gain = audioContext.createGain();
+            oscillator.frequency.value = frequency;
+            gain.gain.setValueAtTime(0.15, start);
+            gain.gain.exponentialRampToValueAtTime(0.001, start + 0.14);
+            oscillator.connect(gain).connect(audioContext.destination);
+            oscillator.start(start);
+            oscillator.stop(start + 0.15);
+        });
+    } catch (err) {
+        logger.warn('Could not play a sound cue:', err);
+    }
+}
+
+/**
+ * Tell the user that a request which needed retries finally succeeded or gave up,
+ * with a desktop notification and/or a sound cue as configured
+ * @param {boolean} succeeded
+ * @param {string} message
+ */
+function notifyRetryOutcome(succeeded, message) {
+    if (fetchRetrySettings.notifyOnlyWhenHidden && document.visibilityState !== 'hidden') return;
+    if (fetchRetrySettings.soundCues) playSoundCue(succeeded);
+    if (fetchRetrySettings.desktopNotifications) showDesktopNotification(message, succeeded);
+}
+
+/**
+ * Validate a list of request rules
+ * @param {any} rules - Parsed rules value
+ * @returns {string} Error message, or an empty string if the rules are valid
+ */
+function validateRetryRules(rules) {
+    if (!Array.isArray(rules)) return 'Rules must be a JSON array.';
+    for (let i = 0; i < rules.length; i++) {
+        const rule = rules[i];
+        if (!rule || typeof rule !== 'object' || Array.isArray(rule)) return `Rule ${i + 1} must be an object.`;
+        if (typeof rule.pattern !== 'string' || !rule.pattern) return `Rule ${i + 1} needs a non-empty "pattern" string.`;
+        const methods = Array.isArray(rule.method) ? rule.method : [rule.method ?? '*'];
+        if (methods.some(method => typeof method !== 'string')) return `Rule ${i + 1} has an invalid "method".`;
+        for (const key of ruleOverrideKeys) {
+            if (rule[key] !== undefined && (typeof rule[key] !== 'number' || !isFinite(rule[key]) || rule[key] < 0)) {
+                return `Rule ${i + 1}: "${key}" must be a non-negative number.`;
+            }
+        }
+    }
+    return '';
+}
+
+/**
+ * Check whether a URL matches a rule pattern.
+ * Patterns without * match as a substring; * matches any sequence of characters.
+ * @param {string} pattern
+ * @param {string} url
+ * @returns {boolean}
+ */
+function matchesUrlPattern(pattern, url) {
+    if (pattern === '*') return true;
+    if (!pattern.includes('*')) return url.includes(pattern);
+    const source = pattern.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*');
+    return new RegExp(source).test(url);
+}
+
+function matchesMethod(ruleMethod, method) {
+    const methods = Array.isArray(ruleMethod) ? ruleMethod : [ruleMethod ?? '*'];
+    return methods.some(m => m === '*' || m.toUpperCase() === method.toUpperCase());
+}
+
+/**
+ * Find the first rule matching a request
+ * @param {string} url
+ * @param {string} method
+ * @returns {object|null} Matching rule or null
+ */
+function findMatchingRule(url, method) {
+    const rules = Array.isArray(fetchRetrySettings.retryRules) ? fetchRetrySettings.retryRules : defaultRetryRules;
+    return rules.find(rule => matchesUrlPattern(rule.pattern, url) && matchesMethod(rule.method, method)) ?? null;
+}
+
+/**
+ * Resolve the effective retry options for a request from the global settings and the matching rule
+ * @param {string} url
+ * @param {string} method
+ * @returns {object} Settings merged with the rule overrides, plus rule, excluded and generation flags
+ */
+function resolveRequestOptions(url, method) {
+    const rule = findMatchingRule(url, method);
+    const options = { ...fetchRetrySettings, rule, excluded: Boolean(rule?.exclude), generation: Boolean(rule?.generation) };
+    if (rule) {
+        for (const key of ruleOverrideKeys) {
+            if (rule[key] !== undefined) options[key] = rule[key];
+        }
+    }
+    logger.debug(`Rule for ${method} ${url}: ${rule ? (rule.name || rule.pattern) : 'none'}`, { excluded: options.excluded, generation: options.generation, maxRetries: options.maxRetries });
+    return options;
+}
+
+// Circuit breaker state per backend key: { state: 'closed'|'open'|'half-open', failures, openedAt, probeStartedAt }
+const circuits = new Map();
+
+/**
+ * Determine which backend a request talks to.
+ * Generation requests are keyed by the upstream API named in their body (reverse proxy,
+ * chat completion source or API server); everything else by the request origin.
+ * @param {string} url
+ * @param {object} options - Resolved request options
+ * @param {any} body - Buffered request body
+ * @returns {string} Circuit key
+ */
+function getCircuitKey(url, options, body) {
+    const data = options.generation ? parseJsonBody(body) : null;
+    if (data) {
+        try {
+            if (typeof data.reverse_proxy === 'string' && data.reverse_proxy) return new URL(data.reverse_proxy).origin;
+            if (typeof data.chat_completion_source === 'string' && data.chat_completion_source) return `chat-completion:${data.chat_completion_source}`;
+            if (typeof data.api_server === 'string' && data.api_server) return new URL(data.api_server).origin;
+        } catch {
+            // Malformed upstream URL, fall back to the request origin
+        }
+    }
+    try {
+        return new URL(url, window.location.href).origin;
+    } catch {
+        return url;
+    }
+}
+
+// Client-side token bucket per backend key: { tokens, refilledAt, blockedUntil, inFlight, queue, timerId }
+const rateLimiters = new Map();
+
+function getRateLimiter(key) {
+    let limiter = rateLimiters.get(key);
+    if (!limiter) {
+        limiter = { tokens: fetchRetrySettings.requestsPerMinute, refilledAt: Date.now(), blockedUntil: 0, inFlight: 0, queue: [], timerId: null };
+        rateLimiters.set(key, limiter);
+    }
+    return limiter;
+}
+
+function refillTokens(limiter) {
+    const now = Date.now();
+    const capacity = fetchRetrySettings.requestsPerMinute;
+    limiter.tokens = Math.min(capacity, limiter.tokens + (now - limiter.refilledAt) * capacity / 60000);
+    limiter.refilledAt = now;
+}
+
+/**
+ * Start queued requests that fit the bucket and concurrency limits, and schedule the next check
+ * @param {object} limiter
+ */
+function processRateLimitQueue(limiter) {
+    clearTimeout(limiter.timerId);
+    limiter.timerId = null;
+    refillTokens(limiter);
+
+    while (limiter.queue.length && limiter.inFlight < fetchRetrySettings.maxConcurrentRequests) {
+        const now = Date.now();
+        if (now < limiter.blockedUntil) {
+            limiter.timerId = setTimeout(() => processRateLimitQueue(limiter), limiter.blockedUntil - now);
+            return;
+        }
+        if (limiter.tokens < 1) {
+            const wait = Math.ceil((1 - limiter.tokens) * 60000 / fetchRetrySettings.requestsPerMinute);
+            limiter.timerId = setTimeout(() => processRateLimitQueue(limiter), wait);
+            return;
+        }
+        limiter.tokens--;
+        limiter.inFlight++;
+        limiter.queue.shift().start();
+    }
+}
+
+/**
+ * Wait for a rate limiter slot for a backend
+ * @param {string} key - Backend key (same as the circuit key)
+ * @param {AbortSignal} [signal] - Caller's signal; aborting removes the request from the queue
+ * @returns {Promise<Function>} Resolves with a function that releases the slot (safe to call more than once)
+ */
+function acquireRateLimitSlot(key, signal) {
+    const limiter = getRateLimiter(key);
+    return new Promise((resolve, reject) => {
+        let released = false;
+        const release = () => {
+            if (released) return;
+            released = true;
+            limiter.inFlight--;
+            processRateLimitQueue(limiter);
+        };
+        const onAbort = () => {
+            limiter.queue.splice(limiter.queue.indexOf(waiter), 1);
+            reject(new DOMException('Request aborted by user', 'AbortError'));
+        };
+        const waiter = {
+            start: () => {
+                signal?.removeEventListener('abort', onAbort);
+                resolve(release);
+            },
+        };
+        limiter.queue.push(waiter);
+        signal?.addEventListener('abort', onAbort, { once: true });
+        processRateLimitQueue(limiter);
+        if (limiter.queue.includes(waiter)) {
+            logger.info(`Request to ${key} queued by the rate limiter (${limiter.queue.length} waiting, ${limiter.inFlight} in flight).`);
+        }
+    });
+}
+
+/**
+ * Adjust a backend's bucket from x-ratelimit-remaining / x-ratelimit-reset response headers
+ * @param {string} key - Backend key
+ * @param {Response} response
+ */
+function learnRateLimitHeaders(key, response) {
+    const headers = response.headers;
+    const remainingHeader = ['x-ratelimit-remaining-requests', 'x-ratelimit-remaining'].find(header => headers.has(header));
+    if (!remainingHeader) return;
+    const remaining = Number(headers.get(remainingHeader));
+    if (!isFinite(remaining)) return;
+
+    const limiter = getRateLimiter(key);
+    refillTokens(limiter);
+    limiter.tokens = Math.min(limiter.tokens, remaining);
+    if (remaining <= 0) {
+        const resetHeader = ['x-ratelimit-reset-requests', 'x-ratelimit-reset'].find(header => headers.has(header));
+        const reset = resetHeader ? parseResetTime(headers.get(resetHeader)) : null;
+        limiter.blockedUntil = Date.now() + (reset ?? 60000 / fetchRetrySettings.requestsPerMinute);
+        logger.info(`${key} reports no remaining requests, holding the queue for ${limiter.blockedUntil - Date.now()}ms.`);
+    }
+    logger.debug(`Rate limiter ${key}: ${remainingHeader}=${remaining}, tokens=${limiter.tokens.toFixed(2)}`);
+}
+
+function createCircuitOpenError(key, remainingMs) {
+    const error = new Error(`Circuit open for ${key}, retry in ${Math.ceil(remainingMs / 1000)}s`);
+    error.name = 'CircuitOpenError';
+    return error;
+}
+
+/**
+ * Check the circuit before an attempt.
+ * An open circuit whose cool-down has passed moves to half-open and lets exactly one probe through.
+ * @param {string} key - Circuit key
+ * @returns {Error|null} CircuitOpenError if the attempt must fail fast, otherwise null
+ */
+function checkCircuit(key) {
+    if (!fetchRetrySettings.circuitBreakerEnabled) return null;
+    const circuit = circuits.get(key);
+    if (!circuit || circuit.state === 'closed') return null;
+
+    const remaining = circuit.openedAt + fetchRetrySettings.circuitCooldown - Date.now();
+    if (circuit.state === 'open') {
+        if (remaining > 0) return createCircuitOpenError(key, remaining);
+        circuit.state = 'half-open';
+        circuit.probeStartedAt = Date.now();
+        logger.info(`Circuit for ${key} is half-open, sending a probe request.`);
+        return null;
+    }
+    // Half-open: only the probe request may pass, unless it was abandoned (e.g. aborted by the user)
+    const probeAge = Date.now() - circuit.probeStartedAt;
+    if (probeAge < fetchRetrySettings.circuitCooldown) {
+        return createCircuitOpenError(key, fetchRetrySettings.circuitCooldown - probeAge);
+    }
+    circuit.probeStartedAt = Date.now();
+    return null;
+}
+
+/**
+ * Get the fail-fast error for a circuit that is currently open, without changing its state
+ * @param {string} key - Circuit key
+ * @returns {Error|null}
+ */
+function getOpenCircuitError(key) {
+    const circuit = circuits.get(key);
+    if (!fetchRetrySettings.circuitBreakerEnabled || circuit?.state !== 'open') return null;
+    const remaining = circuit.openedAt + fetchRetrySettings.circuitCooldown - Date.now();
+    return remaining > 0 ? createCircuitOpenError(key, remaining) : null;
+}
+
+function openCircuit(key, circuit) {
+    circuit.state = 'open';
+    circuit.openedAt = Date.now();
+    broadcastToTabs({ type: 'circuit-open', key, openedAt: circuit.openedAt, failures: circuit.failures });
+    const seconds = Math.round(fetchRetrySettings.circuitCooldown / 1000);
+    logger.warn(`Circuit opened for ${key} after ${circuit.failures} failures. Failing fast for ${seconds}s.`);
+    if (typeof toastr !== 'undefined') {
+        /** @type {any} */ (toastr).warning(`${key} keeps failing. Requests will fail fast for ${seconds}s.`, 'Fetch Retry: circuit open', {
+            timeOut: 10000,
+            closeButton: true
+        });
+    }
+}
+
+function recordCircuitFailure(key) {
+    if (!fetchRetrySettings.circuitBreakerEnabled) return;
+    const circuit = circuits.get(key) ?? { state: 'closed', failures: 0, openedAt: 0, probeStartedAt: 0 };
+    circuits.set(key, circuit);
+    circuit.failures++;
+    logger.debug(`Circuit ${key}: failure ${circuit.failures}/${fetchRetrySettings.circuitFailureThreshold} (${circuit.state})`);
+    if (circuit.state === 'half-open' || (circuit.state === 'closed' && circuit.failures >= fetchRetrySettings.circuitFailureThreshold)) {
+        openCircuit(key, circuit);
+    }
+}
+
+function recordCircuitSuccess(key) {
+    const circuit = circuits.get(key);
+    if (!circuit) return;
+    if (circuit.state !== 'closed') {
+        logger.info(`Circuit for ${key} closed, backend is responding again.`);
+        broadcastToTabs({ type: 'circuit-closed', key });
+    }
+    circuits.delete(key);
+}
+
+// Backoff deadlines announced by other tabs per backend key (same keys as circuits): key -> timestamp
+const sharedBackoffs = new Map();
+const tabChannel = typeof BroadcastChannel !== 'undefined' ? new BroadcastChannel('fetch-retry') : null;
+
+/**
+ * Send retry state to the other tabs of this browser
+ * @param {object} message - { type: 'backoff'|'circuit-open'|'circuit-closed', key, ... }
+ */
+function broadcastToTabs(message) {
+    if (!tabChannel || !fetchRetrySettings.shareAcrossTabs) return;
+    try {
+        tabChannel.postMessage(message);
+    } catch (err) {
+        logger.warn('Could not notify other tabs:', err);
+    }
+}
+
+/**
+ * Apply retry state received from another tab
+ * @param {MessageEvent} event
+ */
+function handleTabMessage(event) {
+    const message = event.data;
+    if (!fetchRetrySettings.shareAcrossTabs || !message || typeof message.key !== 'string') return;
+    logger.debug('Message from another tab:', message);
+
+    switch (message.type) {
+        case 'backoff': {
+            if (!(message.until > Date.now()) || message.until <= (sharedBackoffs.get(message.key) ?? 0)) return;
+            sharedBackoffs.set(message.key, message.until);
+            if (rateLimiters.has(message.key)) {
+                const limiter = rateLimiters.get(message.key);
+                limiter.blockedUntil = Math.max(limiter.blockedUntil, message.until);
+            }
+            logger.info(`Another tab was rate limited by ${message.key}, backing off for ${message.until - Date.now()}ms.`);
+            break;
+        }
+        case 'circuit-open': {
+            if (!fetchRetrySettings.circuitBreakerEnabled) return;
+            const circuit = circuits.get(message.key) ?? { state: 'closed', failures: 0, openedAt: 0, probeStartedAt: 0 };
+            if (circuit.state === 'open' && circuit.openedAt >= message.openedAt) return;
+            circuits.set(message.key, { ...circuit, state: 'open', openedAt: message.openedAt, failures: Math.max(circuit.failures, message.failures ?? 0) });
+            logger.warn(`Circuit for ${message.key} opened by another tab.`);
+            break;
+        }
+        case 'circuit-closed':
+            if (circuits.delete(message.key)) logger.info(`Circuit for ${message.key} closed by another tab.`);
+            break;
+    }
+}
+
+if (tabChannel) tabChannel.onmessage = handleTabMessage;
+
+/**
+ * Get the remaining backoff another tab announced for a backend
+ * @param {string} key - Backend key
+ * @returns {number} Remaining ms, 0 if none
+ */
+function getSharedBackoff(key) {
+    const until = sharedBackoffs.get(key);
+    if (!until) return 0;
+    const remaining = until - Date.now();
+    if (remaining <= 0) sharedBackoffs.delete(key);
+    return Math.max(0, remaining);
+}
+
+// Timestamps of intercepted requests and scheduled retries within the retry budget window
+const retryBudget = { requests: [], retries: [] };
+// Retries always allowed per window, so a single failing request can retry while traffic is low
+const retryBudgetMinRetries = 10;
+
+function pruneRetryBudget() {
+    const since = Date.now() - fetchRetrySettings.retryBudgetWindow;
+    for (const timestamps of [retryBudget.requests, retryBudget.retries]) {
+        while (timestamps.length && timestamps[0] < since) timestamps.shift();
+    }
+}
+
+/**
+ * Check the global retry budget before a retry. Within the sliding window, retries may be at
+ * most retryBudgetPercent of the intercepted requests plus retryBudgetMinRetries.
+ * @param {Error} cause - Error that caused the retry
+ * @returns {Error|null} RetryLimitError if the budget is used up
+ */
+function checkRetryBudget(cause) {
+    if (!fetchRetrySettings.retryBudgetPercent) return null;
+    pruneRetryBudget();
+    const { requests, retries } = retryBudget;
+    const allowed = retryBudgetMinRetries + Math.floor(requests.length * fetchRetrySettings.retryBudgetPercent / 100);
+    if (retries.length < allowed) return null;
+    const windowSeconds = Math.round(fetchRetrySettings.retryBudgetWindow / 1000);
+    return createRetryLimitError('budget', `Retry budget exhausted: ${retries.length} retries for ${requests.length} requests in the last ${windowSeconds}s.`, cause);
+}
+
+/**
+ * Validate a list of error classification rules
+ * @param {any} rules - Parsed rules value
+ * @returns {string} Error message, or an empty string if the rules are valid
+ */
+function validateClassificationRules(rules) {
+    if (!Array.isArray(rules)) return 'Rules must be a JSON array.';
+    for (let i = 0; i < rules.length; i++) {
+        const rule = rules[i];
+        if (!rule || typeof rule !== 'object' || Array.isArray(rule)) return `Rule ${i + 1} must be an object.`;
+        if (typeof rule.match !== 'string' || !rule.match) return `Rule ${i + 1} needs a non-empty "match" regex.`;
+        try {
+            new RegExp(rule.match, 'i');
+        } catch (err) {
+            return `Rule ${i + 1}: invalid "match" regex (${err.message}).`;
+        }
+        if (!classificationActions.includes(rule.action)) return `Rule ${i + 1}: "action" must be one of ${classificationActions.join(', ')}.`;
+        if (rule.action === 'retry-after-delay' && (typeof rule.delay !== 'number' || !isFinite(rule.delay) || rule.delay < 0)) {
+            return `Rule ${i + 1}: "retry-after-delay" needs a non-negative "delay" in ms.`;
+        }
+        if (rule.path !== undefined && typeof rule.path !== 'string') return `Rule ${i + 1}: "path" must be a string.`;
+        const statuses = Array.isArray(rule.status) ? rule.status : [rule.status ?? '*'];
+        if (statuses.some(status => typeof status !== 'number' && !['*', '2xx', '4xx', '5xx'].includes(status))) {
+            return `Rule ${i + 1}: "status" must be a status code, a list of codes, "2xx", "4xx", "5xx" or "*".`;
+        }
+    }
+    return '';
+}
+
+function matchesStatus(ruleStatus, status) {
+    const statuses = Array.isArray(ruleStatus) ? ruleStatus : [ruleStatus ?? '*'];
+    return statuses.some(expected => expected === '*' || expected === status || (typeof expected === 'string' && expected[0] === String(status)[0] && expected.endsWith('xx')));
+}
+
+/**
+ * Read a value from a parsed JSON body by a dot path such as "error.message" or "choices.0.error"
+ * @param {any} data
+ * @param {string} path
+ * @returns {any}
+ */
+function getJsonPath(data, path) {
+    return path.split('.').reduce((value, key) => (value === null || value === undefined ? undefined : value[key]), data);
+}
+
+/**
+ * Match a non-streaming response body against the error classification rules
+ * @param {Response} response
+ * @returns {Promise<object|null>} The first matching rule, or null
+ */
+async function classifyResponse(response) {
+    const rules = fetchRetrySettings.errorClassificationRules;
+    if (!Array.isArray(rules) || !rules.length || !response.body || isStreamingResponse(response)) return null;
+    const candidates = rules.filter(rule => matchesStatus(rule.status, response.status));
+    if (!candidates.length) return null;
+
+    let text;
+    try {
+        text = await response.clone().text();
+    } catch (err) {
+        logger.debug('Could not read response body for classification.', err);
+        return null;
+    }
+    let data = null;
+    try {
+        data = JSON.parse(text);
+    } catch {
+        // Not JSON, rules without a path still search the raw text
+    }
+
+    for (const rule of candidates) {
+        let subject = text;
+        if (rule.path) {
+            const value = data === null ? undefined : getJsonPath(data, rule.path);
+            if (value === undefined || value === null) continue;
+            subject = typeof value === 'string' ? value : JSON.stringify(value);
+        }
+        if (new RegExp(rule.match, 'i').test(subject)) {
+            logger.debug(`Response classified by rule "${rule.name || rule.match}": ${rule.action}`);
+            return rule;
+        }
+    }
+    return null;
+}
+
+function createClassifiedError(rule, response) {
+    const error = new Error(rule.message || `${rule.name || 'Classified error'} (HTTP ${response.status})`);
+    error.name = 'ClassifiedError';
+    if (rule.action === 'retry-after-delay') error.retryDelay = rule.delay;
+    return error;
+}
+
+const fallbackEndpoint = '/api/backends/chat-completions/generate';
+
+/**
+ * Validate a fallback chain
+ * @param {any} chain - Parsed fallback chain value
+ * @returns {string} Error message, or an empty string if the chain is valid
+ */
+function validateFallbackChain(chain) {
+    if (!Array.isArray(chain)) return 'Fallback chain must be a JSON array.';
+    for (let i = 0; i < chain.length; i++) {
+        const entry = chain[i];
+        if (!entry || typeof entry !== 'object' || Array.isArray(entry)) return `Fallback ${i + 1} must be an object.`;
+        if (!entry.model && entry.reverse_proxy === undefined) return `Fallback ${i + 1} needs a "model" and/or a "reverse_proxy".`;
+        for (const key of ['name', 'model', 'reverse_proxy', 'proxy_password']) {
+            if (entry[key] !== undefined && typeof entry[key] !== 'string') return `Fallback ${i + 1}: "${key}" must be a string.`;
+        }
+        if (entry.maxRetries !== undefined && (typeof entry.maxRetries !== 'number' || !isFinite(entry.maxRetries) || entry.maxRetries < 0)) {
+            return `Fallback ${i + 1}: "maxRetries" must be a non-negative number.`;
+        }
+    }
+    return '';
+}
+
+/**
+ * Get the fallback entries that apply to a request: only chat completion generation requests with a JSON body
+ * @param {string} url
+ * @param {any} body - Buffered request body
+ * @returns {object[]}
+ */
+function getFallbackChain(url, body) {
+    const chain = fetchRetrySettings.fallbackChain;
+    if (!Array.isArray(chain) || !chain.length || !url.includes(fallbackEndpoint)) return [];
+    return parseJsonBody(body) ? chain : [];
+}
+
+function getFallbackLabel(entry, index) {
+    return entry.name || [entry.model, entry.reverse_proxy].filter(Boolean).join(' via ') || `fallback ${index + 1}`;
+}
+
+/**
+ * Rewrite a chat completion request body for a fallback entry
+ * @param {any} body - Buffered request body
+ * @param {object} entry - Fallback entry
+ * @returns {string} New JSON body
+ */
+function rewriteBodyForFallback(body, entry) {
+    const data = parseJsonBody(body);
+    if (entry.model) data.model = entry.model;
+    if (entry.reverse_proxy !== undefined) {
+        data.reverse_proxy = entry.reverse_proxy;
+        data.proxy_password = entry.proxy_password ?? '';
+    }
+    return JSON.stringify(data);
+}
+
+/**
+ * Put a partial reply into the chat: extends the last reply if it is a prefix of the partial text,
+ * otherwise adds a new message. Does nothing if the chat already holds the text.
+ * @param {string} text - Reply text delivered before the stream failed
+ * @returns {Promise<boolean>} False if the chat already contained the text
+ */
+async function keepPartialReply(text) {
+    const context = SillyTavern.getContext();
+    const { chat } = context;
+    const messageId = chat.length - 1;
+    const lastMessage = chat[messageId];
+    const lastText = lastMessage?.mes ?? '';
+    if (lastMessage && !lastMessage.is_user && lastText.includes(text)) return false;
+
+    if (lastMessage && !lastMessage.is_user && !lastMessage.is_system && text.startsWith(lastText)) {
+        lastMessage.mes = text;
+        context.updateMessageBlock(messageId, lastMessage);
+    } else {
+        const message = { name: context.name2, is_user: false, is_system: false, send_date: Date.now(), mes: text, extra: {} };
+        chat.push(message);
+        context.addOneMessage(message);
+    }
+    await context.saveChat();
+    return true;
+}
+
+/**
+ * Offer to keep the text of a stream that failed mid-generation, or to continue the reply from it
+ * @param {string} text - Reply text delivered before the stream failed
+ */
+function offerPartialReply(text) {
+    if (typeof toastr === 'undefined') return;
+    const toast = /** @type {any} */ (toastr).warning(t`The reply stream failed after ${text.length} characters.`, 'Fetch Retry', {
+        timeOut: 0,
+        extendedTimeOut: 0,
+        tapToDismiss: false,
+        closeButton: true,
+    });
+    const messageElement = toast?.[0]?.querySelector('.toast-message');
+    if (!messageElement) return;
+
+    const runAction = async (continueReply) => {
+        /** @type {any} */ (toastr).clear(toast);
+        try {
+            const kept = await keepPartialReply(text);
+            logger.info(`Partial reply ${kept ? 'added to the chat' : 'already in the chat'} (${text.length} characters).`);
+            if (continueReply) await SillyTavern.getContext().generate('continue');
+        } catch (err) {
+            logger.error('Could not restore the partial reply:', err);
+            /** @type {any} */ (toastr).error(t`Could not restore the partial reply: ${err.message}`, 'Fetch Retry');
+        }
+    };
+
+    const buttons = document.createElement('div');
+    buttons.classList.add('fetch-retry-toast-buttons');
+    const keepButton = document.createElement('button');
+    keepButton.classList.add('menu_button');
+    keepButton.textContent = t`Keep partial reply`;
+    keepButton.addEventListener('click', () => runAction(false));
+    const continueButton = document.createElement('button');
+    continueButton.classList.add('menu_button');
+    continueButton.textContent = t`Continue from partial`;
+    continueButton.addEventListener('click', () => runAction(true));
+    buttons.append(keepButton, continueButton);
+    messageElement.append(buttons);
+}
+
+// Message-level auto-regenerate: replies that arrive fine over the network but break a reply rule
+// (empty, cut off, missing a required tag, a refusal) are swiped or regenerated. Counted separately
+// from the network retries.
+// MESSAGE_RECEIVED types that are checked; continues, impersonations, first messages and command output are left alone
+const checkedMessageTypes = [undefined, 'normal', 'swipe', 'regenerate'];
+// Wait after a generation ends before checking, so SillyTavern has finished rendering and saving the message
+const replyCheckDelay = 500;
+// Loop guard across messages: at most this many auto-regenerations within the window, then auto-regenerate
+// pauses until the user sends a message
+const autoRegenerateLoopLimit = 10;
+const autoRegenerateLoopWindow = 60000;
+const autoRegenerateState = {
+    generating: false,
+    stopped: false,
+    receivedId: null,
+    chatId: null,
+    messageId: null,
+    count: 0,
+    recent: [],
+    paused: false,
+    timer: null,
+};
+
+/**
+ * Validate a list of reply rules
+ * @param {any} rules - Parsed rules value
+ * @returns {string} Error message, or an empty string if the rules are valid
+ */
+function validateReplyRules(rules) {
+    if (!Array.isArray(rules)) return 'Rules must be a JSON array.';
+    for (let i = 0; i < rules.length; i++) {
+        const rule = rules[i];
+        if (!rule || typeof rule !== 'object' || Array.isArray(rule)) return `Rule ${i + 1} must be an object.`;
+        if (!replyRuleChecks.some(key => rule[key] !== undefined)) return `Rule ${i + 1} needs "minLength", "requireMatch" or "forbidMatch".`;
+        if (rule.name !== undefined && typeof rule.name !== 'string') return `Rule ${i + 1}: "name" must be a string.`;
+        if (rule.minLength !== undefined && (typeof rule.minLength !== 'number' || !isFinite(rule.minLength) || rule.minLength < 0)) {
+            return `Rule ${i + 1}: "minLength" must be a non-negative number.`;
+        }
+        for (const key of ['requireMatch', 'forbidMatch']) {
+            if (rule[key] === undefined) continue;
+            if (typeof rule[key] !== 'string' || !rule[key]) return `Rule ${i + 1}: "${key}" must be a non-empty regex.`;
+            try {
+                new RegExp(rule[key], 'i');
+            } catch (err) {
+                return `Rule ${i + 1}: invalid "${key}" regex (${err.message}).`;
+            }
+        }
+    }
+    return '';
+}
+
+/**
+ * Check reply text against the reply rules
+ * @param {string} text - Message text as rendered by SillyTavern
+ * @returns {string} Why the reply breaks the first failing rule, or an empty string if it passes
+ */
+function checkReplyRules(text) {
+    const rules = Array.isArray(fetchRetrySettings.replyRules) ? fetchRetrySettings.replyRules : [];
+    const reply = String(text ?? '').trim();
+    for (let i = 0; i < rules.length; i++) {
+        const rule = rules[i];
+        const name = rule.name || `Rule ${i + 1}`;
+        if (rule.minLength !== undefined && reply.length < rule.minLength) {
+            return reply.length ? `${name}: reply has ${reply.length} characters, fewer than ${rule.minLength}` : `${name}: reply is empty`;
+        }
+        if (rule.requireMatch && !new RegExp(rule.requireMatch, 'i').test(reply)) return `${name}: reply does not match /${rule.requireMatch}/`;
+        if (rule.forbidMatch && new RegExp(rule.forbidMatch, 'i').test(reply)) return `${name}: reply matches /${rule.forbidMatch}/`;
+    }
+    return '';
+}
+
+function resetAutoRegenerate() {
+    Object.assign(autoRegenerateState, { receivedId: null, chatId: null, messageId: null, count: 0, recent: [], paused: false });
+}
+
+function scheduleReplyCheck() {
+    clearTimeout(autoRegenerateState.timer);
+    autoRegenerateState.timer = setTimeout(() => {
+        checkReceivedReply().catch(err => logger.error('Could not check the received reply:', err));
+    }, replyCheckDelay);
+}
+
+/**
+ * Check the reply received by the last generation and swipe or regenerate it if it breaks a reply rule
+ */
+async function checkReceivedReply() {
+    const state = autoRegenerateState;
+    if (state.generating || state.receivedId === null) return;
+    const messageId = state.receivedId;
+    state.receivedId = null;
+    if (!fetchRetrySettings.enabled || retryPaused || !fetchRetrySettings.autoRegenerate || state.stopped || state.paused) return;
+
+    const context = SillyTavern.getContext();
+    const chat = context.chat ?? [];
+    const message = chat[messageId];
+    // Only the last message can be swiped or regenerated
+    if (!message || message.is_user || message.is_system || messageId !== chat.length - 1) return;
+
+    const chatId = context.getCurrentChatId?.() ?? null;
+    if (state.chatId !== chatId || state.messageId !== messageId) {
+        Object.assign(state, { chatId, messageId, count: 0 });
     }
-    if (!fetchRetrySettings.streamInactivityTimeout) {
-        if (fetchRetrySettings.debugMode) console.log('[Fetch Retry Debug] Stream inactivity check is disabled by settings.');
-        return { invalid: false, reason: '' };
+    const problem = checkReplyRules(message.mes);
+    if (!problem) {
+        state.count = 0;
+        return;
+    }
+    if (state.count >= fetchRetrySettings.maxAutoRegenerations) {
+        logger.warn(`Reply still breaks a reply rule after ${state.count} auto-regenerations, keeping it. ${problem}`);
+        /** @type {any} */ (toastr).warning(t`Reply kept after ${state.count} auto-regenerations: ${problem}`, 'Fetch Retry');
+        return;
     }
 
-    // Only check generation endpoints for stream inactivity to avoid false positives
-    const generationEndpoints = ['/completion', '/generate', '/chat/completions', '/run/predict'];
-    const isGenerationUrl = generationEndpoints.some(endpoint => url.includes(endpoint));
-    if (fetchRetrySettings.debugMode) console.log(`[Fetch Retry Debug] Is generation URL: ${isGenerationUrl}`);
+    const now = Date.now();
+    state.recent = state.recent.filter(time => time > now - autoRegenerateLoopWindow);
+    if (state.recent.length >= autoRegenerateLoopLimit) {
+        state.paused = true;
+        logger.warn(`${state.recent.length} auto-regenerations in the last ${autoRegenerateLoopWindow / 1000}s, pausing auto-regenerate until the next message is sent.`);
+        /** @type {any} */ (toastr).warning(t`Too many auto-regenerations in a row. Auto-regenerate is paused until you send a message.`, 'Fetch Retry');
+        return;
+    }
+    state.recent.push(now);
+    state.count++;
+    retryStats.autoRegenerations++;
+
+    const action = fetchRetrySettings.autoRegenerateAction;
+    logger.info(`Reply breaks a reply rule (${problem}), ${action} ${state.count}/${fetchRetrySettings.maxAutoRegenerations}.`);
+    /** @type {any} */ (toastr).info(t`${problem}. Auto-regenerating (${state.count}/${fetchRetrySettings.maxAutoRegenerations})...`, 'Fetch Retry');
+
+    // A swipe keeps the bad reply; use SillyTavern's own swipe button so the swipe bookkeeping stays consistent
+    const swipeButton = action === 'swipe' ? document.querySelector('#chat .last_mes .swipe_right') : null;
+    if (swipeButton) {
+        /** @type {HTMLElement} */ (swipeButton).click();
+    } else {
+        await context.generate('regenerate');
+    }
+}
 
-    if (!isGenerationUrl) {
-        if (fetchRetrySettings.debugMode) console.log('[Fetch Retry Debug] Not a generation URL, skipping stream inactivity checks.');
-        return { invalid: false, reason: '' };
+/**
+ * Follow SillyTavern generations to check received replies against the reply rules
+ */
+function registerReplyCheckEvents() {
+    const { eventSource, eventTypes } = SillyTavern.getContext();
+    if (!eventSource || !eventTypes || !eventTypes.MESSAGE_RECEIVED) {
+        logger.warn('eventSource not available, replies will not be auto-regenerated.');
+        return;
+    }
+    eventSource.on(eventTypes.GENERATION_STARTED, (_type, _options, dryRun) => {
+        if (dryRun) return;
+        autoRegenerateState.generating = true;
+        autoRegenerateState.stopped = false;
+        autoRegenerateState.receivedId = null;
+    });
+    eventSource.on(eventTypes.MESSAGE_RECEIVED, (messageId, type) => {
+        if (!checkedMessageTypes.includes(type)) return;
+        autoRegenerateState.receivedId = Number(messageId);
+        scheduleReplyCheck();
+    });
+    eventSource.on(eventTypes.GENERATION_ENDED, () => {
+        autoRegenerateState.generating = false;
+        scheduleReplyCheck();
+    });
+    eventSource.on(eventTypes.GENERATION_STOPPED, () => {
+        // The user stopped the generation: leave the reply alone
+        autoRegenerateState.generating = false;
+        autoRegenerateState.stopped = true;
+    });
+    for (const type of [eventTypes.MESSAGE_SENT, eventTypes.CHAT_CHANGED]) {
+        if (type) eventSource.on(type, resetAutoRegenerate);
+    }
+}
+
+// Failure journal: failed generation requests are kept in IndexedDB so they survive a reload
+// and can be inspected and replayed later
+const journalDbName = 'fetch-retry';
+const journalStoreName = 'failures';
+let journalDbPromise = null;
+// Marks a RequestInit sent by replayJournalEntry, so a failed replay updates its entry instead of adding one
+const journalReplayKey = Symbol('FetchRetry.journalReplay');
+// Headers that may carry credentials are not stored; replays get fresh ones from SillyTavern
+const sensitiveHeaderPattern = /authorization|cookie|token|secret|password|api[-_]?key|csrf/i;
+// Credential fields of JSON request bodies: not stored either, filled in from the current settings on replay
+const sensitiveBodyFields = ['proxy_password', 'api_key', 'password', 'custom_include_headers'];
+const expandedJournalIds = new Set();
+
+/**
+ * Open the journal database, creating it on first use
+ * @returns {Promise<IDBDatabase>}
+ */
+function openJournalDb() {
+    if (!journalDbPromise) {
+        journalDbPromise = new Promise((resolve, reject) => {
+            if (typeof indexedDB === 'undefined') {
+                reject(new Error('IndexedDB is not available'));
+                return;
+            }
+            const openRequest = indexedDB.open(journalDbName, 1);
+            openRequest.onupgradeneeded = () => {
+                openRequest.result.createObjectStore(journalStoreName, { keyPath: 'id', autoIncrement: true });
+            };
+            openRequest.onsuccess = () => resolve(openRequest.result);
+            openRequest.onerror = () => reject(openRequest.error);
+        });
+        journalDbPromise.catch(() => {
+            journalDbPromise = null;
+        });
+    }
+    return journalDbPromise;
+}
+
+/**
+ * Run one request against the journal store
+ * @param {IDBTransactionMode} mode
+ * @param {(store: IDBObjectStore) => IDBRequest} operation
+ * @returns {Promise<any>} Result of the request, once the transaction has completed
+ */
+async function runJournalOperation(mode, operation) {
+    const db = await openJournalDb();
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction(journalStoreName, mode);
+        const request = operation(transaction.objectStore(journalStoreName));
+        transaction.oncomplete = () => resolve(request.result);
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error);
+    });
+}
+
+/**
+ * @returns {Promise<object[]>} Journal entries, newest first
+ */
+async function getJournalEntries() {
+    const entries = await runJournalOperation('readonly', store => store.getAll());
+    return entries.reverse();
+}
+
+function deleteJournalEntry(id) {
+    return runJournalOperation('readwrite', store => store.delete(id));
+}
+
+/**
+ * Drop the oldest entries until the journal fits in failureJournalSize
+ */
+async function pruneJournal() {
+    const maxBytes = fetchRetrySettings.failureJournalSize * 1024 * 1024;
+    let total = 0;
+    for (const entry of await getJournalEntries()) {
+        total += entry.size;
+        if (total > maxBytes) await deleteJournalEntry(entry.id);
+    }
+}
+
+/**
+ * Copy request headers without the ones that may carry credentials
+ * @param {HeadersInit} [headers]
+ * @returns {object}
+ */
+function sanitizeHeaders(headers) {
+    const sanitized = {};
+    new Headers(headers ?? undefined).forEach((value, name) => {
+        if (!sensitiveHeaderPattern.test(name)) sanitized[name] = value;
+    });
+    return sanitized;
+}
+
+/**
+ * Remove credential fields from a JSON request body
+ * @param {any} body - Storable request body
+ * @returns {{body: any, strippedFields: string[]}} Body without the fields, and the names of the removed fields
+ */
+function stripBodyCredentials(body) {
+    const data = body ? parseJsonBody(body) : null;
+    const strippedFields = data && !Array.isArray(data) ? sensitiveBodyFields.filter(field => field in data) : [];
+    if (!strippedFields.length) return { body, strippedFields };
+    strippedFields.forEach(field => delete data[field]);
+    return { body: JSON.stringify(data), strippedFields };
+}
+
+/**
+ * Current value of a credential field removed from a journaled body. A proxy password is only
+ * filled in for the reverse proxy it belongs to (SillyTavern's current one or a fallback entry).
+ * @param {string} field - One of sensitiveBodyFields
+ * @param {object} data - Parsed journaled body
+ * @returns {any} The value, or undefined to leave the field out
+ */
+function getCurrentBodyCredential(field, data) {
+    const settings = SillyTavern.getContext().chatCompletionSettings ?? {};
+    if (field !== 'proxy_password') return settings[field];
+    if (data.reverse_proxy && settings.reverse_proxy === data.reverse_proxy) return settings.proxy_password;
+    const chain = Array.isArray(fetchRetrySettings.fallbackChain) ? fetchRetrySettings.fallbackChain : [];
+    return chain.find(entry => entry.reverse_proxy && entry.reverse_proxy === data.reverse_proxy)?.proxy_password;
+}
+
+/**
+ * Put current credentials back into a journaled body before it is replayed
+ * @param {object} entry - Journal entry
+ * @returns {any} Body to send
+ */
+function restoreBodyCredentials(entry) {
+    const data = entry.strippedFields?.length ? parseJsonBody(entry.body) : null;
+    if (!data) return entry.body ?? undefined;
+    for (const field of entry.strippedFields) {
+        const value = getCurrentBodyCredential(field, data);
+        if (value !== undefined) data[field] = value;
+    }
+    return JSON.stringify(data);
+}
+
+/**
+ * Convert a buffered request body into a value IndexedDB can store
+ * @param {any} body - Body buffered by the retry engine
+ * @returns {any} String, binary data or null; undefined for bodies that cannot be stored (FormData)
+ */
+function toStorableBody(body) {
+    if (body === undefined || body === null) return null;
+    if (typeof body === 'string' || body instanceof Blob || body instanceof ArrayBuffer || ArrayBuffer.isView(body)) return body;
+    if (body instanceof URLSearchParams) return body.toString();
+    return undefined;
+}
+
+/**
+ * Save a failed generation request to the journal
+ * @param {object} request - Request state of the retry engine
+ * @param {Error} [error] - Final error
+ * @param {Response} [response] - Last response, if any
+ */
+async function recordFailure(request, error, response) {
+    const maxBytes = fetchRetrySettings.failureJournalSize * 1024 * 1024;
+    if (!maxBytes) return;
+    const { body, strippedFields } = stripBodyCredentials(toStorableBody(request.primaryBody));
+    const entry = {
+        createdAt: Date.now(),
+        url: request.url,
+        method: request.method,
+        headers: sanitizeHeaders(request.headers),
+        body: body ?? null,
+        strippedFields,
+        replayable: body !== undefined,
+        size: body ? new Blob([body]).size : 0,
+        error: error ? `${error.name}: ${error.message}` : 'Unknown error',
+        status: response?.status ?? null,
+        attempts: request.historyEntry.attempts.length,
+        replays: 0,
+    };
+    if (entry.size > maxBytes) {
+        logger.warn(`Failed request body (${entry.size} bytes) is larger than the failure journal, not saved.`);
+        return;
     }
-    
     try {
-        // Check for stream inactivity timeout
-        if (streamTimeoutId) {
-            // Stream is being monitored, validity check passed
-            if (fetchRetrySettings.debugMode) console.log('[Fetch Retry Debug] Stream is being monitored.');
-            return { invalid: false, reason: '' };
-        }
+        await runJournalOperation('readwrite', store => store.add(entry));
+        await pruneJournal();
+        logger.debug(`Failed request saved to the journal: ${entry.method} ${entry.url}`);
     } catch (err) {
-        console.warn('[Fetch Retry] Error checking response validity:', err);
-        if (err.message === 'Stream inactivity timeout') {
-            console.warn('[Fetch Retry] Stream stopped mid-way due to inactivity.');
-            return { invalid: true, reason: 'stream_inactivity' };
-        }
+        logger.error('Could not save the failed request to the journal:', err);
     }
-    if (fetchRetrySettings.debugMode) console.log('[Fetch Retry Debug] Response is valid.');
-    return { invalid: false, reason: '' };
+    renderFailureJournal();
 }
 
-// Helper function to determine delay based on error
-function getRetryDelay(error, response, attempt) {
-    if (fetchRetrySettings.debugMode) console.log(`[Fetch Retry Debug] Calculating retry delay for attempt ${attempt}.`);
-    let delay = fetchRetrySettings.minRetryDelay; // Start with minimum delay
-    if (fetchRetrySettings.debugMode) console.log(`[Fetch Retry Debug] Initial delay: ${delay}ms`);
+/**
+ * Read the generated text of a reply, streamed or not
+ * @param {Response} response
+ * @returns {Promise<string>}
+ */
+async function readReplyText(response) {
+    if (!isStreamingResponse(response)) {
+        const data = await response.json().catch(() => null);
+        return extractGeneratedText(data)?.text ?? '';
+    }
+    let text = '';
+    for (const line of (await response.text()).split('\n')) {
+        const payload = line.startsWith('data:') ? line.slice(5).trim() : line.trim();
+        if (!payload.startsWith('{')) continue;
+        try {
+            text += getStreamDelta(JSON.parse(payload)).content;
+        } catch {
+            // Not a JSON event
+        }
+    }
+    return text;
+}
 
-    // If there's a Retry-After header, use that
-    if (response && response.headers.has('Retry-After')) {
-        const retryAfter = response.headers.get('Retry-After');
-        const seconds = parseInt(retryAfter);
-        if (!isNaN(seconds)) {
-            delay = Math.max(delay, Math.min(seconds * 1000, 30000)); // Max 30 seconds
-            if (fetchRetrySettings.debugMode) console.log(`[Fetch Retry Debug] Retry-After header found: ${seconds}s, adjusted delay: ${delay}ms`);
+/**
+ * Show the reply of a successful replay, with a button to add it to the current chat
+ * @param {string} text
+ */
+function offerReplayedReply(text) {
+    if (typeof toastr === 'undefined') return;
+    const toast = /** @type {any} */ (toastr).success(t`Replay succeeded (${text.length} characters).`, 'Fetch Retry', {
+        timeOut: 0,
+        extendedTimeOut: 0,
+        tapToDismiss: false,
+        closeButton: true,
+    });
+    const messageElement = toast?.[0]?.querySelector('.toast-message');
+    if (!messageElement || !text) return;
+
+    const buttons = document.createElement('div');
+    buttons.classList.add('fetch-retry-toast-buttons');
+    const addButton = document.createElement('button');
+    addButton.classList.add('menu_button');
+    addButton.textContent = t`Add reply to chat`;
+    addButton.addEventListener('click', async () => {
+        /** @type {any} */ (toastr).clear(toast);
+        try {
+            await keepPartialReply(text);
+        } catch (err) {
+            logger.error('Could not add the replayed reply:', err);
+            /** @type {any} */ (toastr).error(t`Could not add the reply: ${err.message}`, 'Fetch Retry');
         }
+    });
+    buttons.append(addButton);
+    messageElement.append(buttons);
+}
+
+/**
+ * Send a journaled request again through the patched fetch, so it gets the usual retries.
+ * The entry is removed when the replay succeeds and updated with the new error when it fails.
+ * @param {object} entry - Journal entry
+ */
+async function replayJournalEntry(entry) {
+    const headers = new Headers(entry.headers);
+    for (const [name, value] of Object.entries(SillyTavern.getContext().getRequestHeaders?.() ?? {})) {
+        headers.set(name, value);
     }
-    
-    // For 429 errors, use longer delay
-    if (response && response.status === 429) {
-        delay = Math.max(delay, fetchRetrySettings.rateLimitDelay * Math.pow(1.5, attempt)); // Exponential backoff
-        if (fetchRetrySettings.debugMode) console.log(`[Fetch Retry Debug] 429 error detected, adjusted delay: ${delay}ms`);
+    const init = { method: entry.method, headers, body: restoreBodyCredentials(entry), [journalReplayKey]: true };
+    logger.info(`Replaying failed request ${entry.method} ${entry.url}`);
+    /** @type {any} */ (toastr).info(`Replaying ${entry.method} ${entry.url}`, 'Fetch Retry', { timeOut: 3000 });
+    try {
+        const response = await fetch(entry.url, init);
+        if (!response.ok) throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+        await deleteJournalEntry(entry.id);
+        offerReplayedReply(await readReplyText(response));
+    } catch (err) {
+        logger.error('Replay failed:', err);
+        const updated = { ...entry, error: `${err.name}: ${err.message}`, replays: (entry.replays ?? 0) + 1, replayedAt: Date.now() };
+        await runJournalOperation('readwrite', store => store.put(updated)).catch(() => {});
+        /** @type {any} */ (toastr).error(`Replay failed: ${err.message}`, 'Fetch Retry');
     }
-    
-    // Default delay with exponential backoff
-    delay = Math.max(delay, fetchRetrySettings.retryDelay * Math.pow(1.2, attempt));
-    if (fetchRetrySettings.debugMode) console.log(`[Fetch Retry Debug] Final delay after exponential backoff: ${delay}ms`);
+    renderFailureJournal();
+}
+
+/**
+ * Create the collapsible failure journal panel shown in the settings drawer
+ * @returns {HTMLElement}
+ */
+function createFailureJournalPanel() {
+    const panel = document.createElement('div');
+    panel.classList.add('inline-drawer', 'fetch-retry-history', 'fetch-retry-journal');
+
+    const toggle = document.createElement('div');
+    toggle.classList.add('inline-drawer-toggle', 'inline-drawer-header');
+    const title = document.createElement('b');
+    title.textContent = t`Failure Journal`;
+    const icon = document.createElement('div');
+    icon.classList.add('inline-drawer-icon', 'fa-solid', 'fa-circle-chevron-down', 'down');
+    toggle.append(title, icon);
+
+    const content = document.createElement('div');
+    content.classList.add('inline-drawer-content');
+
+    const toolbar = document.createElement('div');
+    toolbar.classList.add('fetch-retry-history-toolbar');
+    const description = document.createElement('small');
+    description.textContent = t`Generation requests that failed after all retries. Kept across reloads; click a row to see the error and the request body.`;
+    const clearButton = document.createElement('button');
+    clearButton.classList.add('menu_button');
+    clearButton.textContent = t`Discard all`;
+    clearButton.addEventListener('click', async () => {
+        await runJournalOperation('readwrite', store => store.clear()).catch(err => logger.error('Could not clear the failure journal:', err));
+        expandedJournalIds.clear();
+        renderFailureJournal();
+    });
+    toolbar.append(description, clearButton);
+
+    const table = document.createElement('table');
+    table.id = 'fetch-retry-journal-table';
+    table.classList.add('fetch-retry-history-table');
+
+    content.append(toolbar, table);
+    panel.append(toggle, content);
+
+    toggle.addEventListener('click', function() {
+        this.classList.toggle('open');
+        icon.classList.toggle('down');
+        icon.classList.toggle('up');
+        content.classList.toggle('open');
+        renderFailureJournal();
+    });
 
-    return delay;
+    return panel;
 }
 
-// Monkey-patch fetch
-if (!(/** @type {any} */ (window))._fetchRetryPatched) {
-    console.log('[Fetch Retry] Attempting to monkey-patch window.fetch...');
-    const originalFetch = window.fetch;
-    window.fetch = async function(...args) {
-        if (!fetchRetrySettings.enabled) {
-            if (fetchRetrySettings.debugMode) console.log('[Fetch Retry Debug] Fetch Retry is disabled. Bypassing.');
-            return originalFetch.apply(this, args);
-        }
+/**
+ * Refresh the failure journal table, if it is shown
+ */
+async function renderFailureJournal() {
+    const table = document.getElementById('fetch-retry-journal-table');
+    if (!table) return;
 
-        const requestUrl = args[0] instanceof Request ? args[0].url : String(args[0]);
-        if (fetchRetrySettings.debugMode) {
-            console.log('[Fetch Retry Debug] Intercepted a fetch request.', { url: requestUrl, attempt: 0 });
-        }
+    let entries;
+    try {
+        entries = await getJournalEntries();
+    } catch (err) {
+        logger.error('Could not read the failure journal:', err);
+        entries = [];
+    }
+    table.replaceChildren();
 
-        const originalSignal = args[0] instanceof Request ? args[0].signal : (args[1]?.signal);
-        if (originalSignal?.aborted) {
-            if (fetchRetrySettings.debugMode) console.log('[Fetch Retry Debug] Original signal already aborted. Bypassing.');
-            return originalFetch.apply(this, args);
+    const header = document.createElement('tr');
+    for (const column of [t`Time`, t`Method`, t`URL`, t`Error`, t`Size`, '']) {
+        const th = document.createElement('th');
+        th.textContent = column;
+        header.appendChild(th);
+    }
+    table.appendChild(header);
+
+    if (!entries.length) {
+        const emptyRow = document.createElement('tr');
+        const cell = document.createElement('td');
+        cell.colSpan = 6;
+        cell.textContent = t`No failed requests saved.`;
+        emptyRow.appendChild(cell);
+        table.appendChild(emptyRow);
+        return;
+    }
+
+    for (const entry of entries) {
+        const row = document.createElement('tr');
+        row.classList.add('fetch-retry-history-row', 'outcome-failed');
+        for (const value of [new Date(entry.createdAt).toLocaleString(), entry.method, entry.url, entry.error, `${(entry.size / 1024).toFixed(1)} KB`]) {
+            const cell = document.createElement('td');
+            cell.textContent = value;
+            cell.title = value;
+            row.appendChild(cell);
         }
 
-        let attempt = 0;
-        let lastError;
-        let lastResponse;
-        
-        while (attempt <= fetchRetrySettings.maxRetries) {
-            if (fetchRetrySettings.debugMode) console.log(`[Fetch Retry Debug] Starting fetch attempt ${attempt + 1}/${fetchRetrySettings.maxRetries + 1}`);
-            if (originalSignal?.aborted) {
-                console.log('[Fetch Retry] Request aborted by user during retry loop. Returning abort error.');
-                const abortError = new DOMException('Request aborted by user', 'AbortError');
-                throw abortError;
-            }
-            const controller = new AbortController();
-            const userAbortHandler = () => {
-                if (fetchRetrySettings.debugMode) console.log('[Fetch Retry Debug] User aborted signal received.');
-                controller.abort('User aborted');
-            };
-            if (originalSignal) {
-                originalSignal.addEventListener('abort', userAbortHandler, { once: true });
-            }
-            const signal = controller.signal; // Signal for the current attempt
-            let timeoutId;
-
-            let currentUrl; // Will be RequestInfo | URL
-            let currentInit; // Will be RequestInit
-
-            // Parse original args into currentUrl and currentInit
-            if (args[0] instanceof Request) {
-                currentUrl = args[0].url;
-                // Clone the RequestInit properties from the original Request
-                currentInit = {
-                    method: args[0].method,
-                    headers: args[0].headers,
-                    mode: args[0].mode,
-                    credentials: args[0].credentials,
-                    cache: args[0].cache,
-                    redirect: args[0].redirect,
-                    referrer: args[0].referrer,
-                    referrerPolicy: args[0].referrerPolicy,
-                    integrity: args[0].integrity,
-                    keepalive: args[0].keepalive,
-                    body: args[0].body, // Store the original Request object's body for later reading if needed
-                    signal: signal, // Explicitly add the signal here
-                };
-                if (fetchRetrySettings.debugMode) console.log('[Fetch Retry Debug] Request is an instance of Request.');
+        const actions = document.createElement('td');
+        actions.classList.add('fetch-retry-journal-actions');
+        const replayButton = document.createElement('button');
+        replayButton.classList.add('menu_button', 'fa-solid', 'fa-rotate-right');
+        replayButton.title = entry.replayable ? t`Replay` : t`This request body cannot be replayed`;
+        replayButton.disabled = !entry.replayable;
+        replayButton.addEventListener('click', (event) => {
+            event.stopPropagation();
+            replayButton.disabled = true;
+            replayJournalEntry(entry);
+        });
+        const discardButton = document.createElement('button');
+        discardButton.classList.add('menu_button', 'fa-solid', 'fa-trash-can');
+        discardButton.title = t`Discard`;
+        discardButton.addEventListener('click', async (event) => {
+            event.stopPropagation();
+            await deleteJournalEntry(entry.id).catch(err => logger.error('Could not discard the journal entry:', err));
+            expandedJournalIds.delete(entry.id);
+            renderFailureJournal();
+        });
+        actions.append(replayButton, discardButton);
+        row.appendChild(actions);
+
+        const detailRow = document.createElement('tr');
+        detailRow.classList.add('fetch-retry-history-detail');
+        detailRow.hidden = !expandedJournalIds.has(entry.id);
+        const detailCell = document.createElement('td');
+        detailCell.colSpan = 6;
+        const summary = document.createElement('small');
+        const replays = entry.replays ? `, ${entry.replays} failed replays` : '';
+        summary.textContent = `${entry.error} (${entry.attempts} attempts${entry.status ? `, last status ${entry.status}` : ''}${replays})`;
+        const bodyPreview = document.createElement('pre');
+        bodyPreview.classList.add('fetch-retry-journal-body');
+        bodyPreview.textContent = typeof entry.body === 'string' || entry.body instanceof ArrayBuffer || ArrayBuffer.isView(entry.body)
+            ? getBodyText(entry.body)
+            : entry.replayable ? t`(no text body)` : t`(body not saved)`;
+        detailCell.append(summary, bodyPreview);
+        detailRow.appendChild(detailCell);
+
+        row.addEventListener('click', () => {
+            detailRow.hidden = !detailRow.hidden;
+            if (detailRow.hidden) {
+                expandedJournalIds.delete(entry.id);
             } else {
-                currentUrl = args[0];
-                // Clone original init if exists, and then explicitly add the signal
-                currentInit = Object.assign({}, args[1], { signal: signal });
-                if (fetchRetrySettings.debugMode) console.log('[Fetch Retry Debug] Request is a URL/string.');
+                expandedJournalIds.add(entry.id);
             }
+        });
+        table.append(row, detailRow);
+    }
+}
 
-            try {
-                // Call original fetch with the potentially modified currentUrl and currentInit
-                if (fetchRetrySettings.debugMode) console.log('[Fetch Retry Debug] Executing original fetch...');
-                const fetchPromise = originalFetch.apply(this, [currentUrl, currentInit]);
-
-                let timeoutPromise = null;
-                if (fetchRetrySettings.enableThinkingTimeout) {
-                    timeoutPromise = new Promise((_, reject) => {
-                        timeoutId = setTimeout(() => {
-                            const error = new Error('Thinking timeout reached');
-                            error.name = 'TimeoutError';
-                            controller.abort();
-                            reject(error);
-                            console.warn('[Fetch Retry] Fetch request timed out.');
-                        }, fetchRetrySettings.thinkingTimeout);
-                    });
-                }
+// Pending log viewer refresh and the log subscription held while the Log panel is open
+let logRenderTimer = null;
+let stopLogSubscription = null;
 
-                const result = timeoutPromise 
-                    ? await Promise.race([fetchPromise, timeoutPromise])
-                    : await fetchPromise;
-                if (timeoutId) {
-                    clearTimeout(timeoutId); // Clear timeout if fetch succeeds
-                }
-                if (originalSignal) {
-                    originalSignal.removeEventListener('abort', userAbortHandler);
-                }
-                if (fetchRetrySettings.debugMode) console.log('[Fetch Retry Debug] Fetch promise resolved or timed out.');
-
-                lastResponse = result;
-                
-                // Success if status 200-299
-                if (result.ok) {
-                    if (fetchRetrySettings.debugMode) console.log(`[Fetch Retry Debug] Fetch successful (status ${result.status}).`);
-                    let processedResult = result;
-                    
-                    // Check if response is invalid (too short or incomplete)
-                    const url = args[0] instanceof Request ? args[0].url : String(args[0]);
-                    const { invalid, reason } = await isResponseInvalid(processedResult, url);
-                    if (fetchRetrySettings.debugMode) {
-                        console.log(`[Fetch Retry Debug] Validity check result: invalid=${invalid}, reason='${reason}'`);
-                    }
+function formatLogEntry({ time, level, message }) {
+    return `${new Date(time).toLocaleTimeString()} ${level.toUpperCase().padEnd(5)} ${message}`;
+}
 
-                    if (invalid && attempt < fetchRetrySettings.maxRetries) {
-                        console.warn(`[Fetch Retry] Response is invalid (${reason}), retrying... attempt ${attempt + 1}/${fetchRetrySettings.maxRetries + 1}`);
-                        attempt = await handleRetry(new Error(`Response invalid: ${reason}`), processedResult, attempt);
-                        continue;
-                    }
-                    if (fetchRetrySettings.debugMode) console.log('[Fetch Retry Debug] Response is valid or max retries reached for invalid response. Returning result.');
-                    return processedResult;
-                }
-                
-                // Handle specific error codes
-                if (result.status === 429) {
-                    const url = args[0] instanceof Request ? args[0].url : String(args[0]);
-                    console.warn(`[Fetch Retry] Rate limited (429) for ${url}, attempt ${attempt + 1}/${fetchRetrySettings.maxRetries + 1}`);
-                    if (attempt < fetchRetrySettings.maxRetries) {
-                        attempt = await handleRetry(new Error(`Rate limited (429): ${result.statusText}`), result, attempt);
-                        continue;
-                    } else {
-                        // Max retries reached for 429, throw error
-                        console.error(`[Fetch Retry] Max retries reached for 429 error on ${url}.`);
-                        lastError = new Error(`Rate limited (429): ${result.statusText}`);
-                        lastResponse = result;
-                        break;
-                    }
-                } else if (result.status >= 500) {
-                    console.warn(`[Fetch Retry] Server error (${result.status}), attempt ${attempt + 1}/${fetchRetrySettings.maxRetries + 1}`);
-                    if (attempt < fetchRetrySettings.maxRetries) {
-                        attempt = await handleRetry(new Error(`Server error (${result.status}): ${result.statusText}`), result, attempt);
-                        continue;
-                    } else {
-                        // Max retries reached for 5xx, throw error
-                        lastError = new Error(`Server error (${result.status}): ${result.statusText}`);
-                        lastResponse = result;
-                        break;
-                    }
-                } else if (result.status >= 400) {
-                    // Client errors other than 429 usually don't need retry
-                    // Return the response instead of throwing to not interfere with generation
-                    console.log(`[Fetch Retry] Client error (${result.status}): ${result.statusText}. Returning response without retry.`);
-                    return result;
-                }
-                
-                console.error(`[Fetch Retry] Unexpected HTTP status: ${result.status}. Throwing error.`);
-                throw new Error(`HTTP ${result.status}: ${result.statusText}`);
-                
-            } catch (err) {
-                if (timeoutId) {
-                    clearTimeout(timeoutId); // Make sure timeout is cleared if there's another error
-                }
-                if (originalSignal) {
-                    originalSignal.removeEventListener('abort', userAbortHandler);
-                }
-                lastError = err;
-                console.error('[Fetch Retry] Caught error during fetch attempt:', err); // Detailed error logging
-                if (fetchRetrySettings.debugMode) {
-                    console.log('[Fetch Retry] Full error object for debugging:', JSON.stringify(err, Object.getOwnPropertyNames(err)));
-                }
+/**
+ * Create the collapsible log viewer panel shown in the settings drawer
+ * @returns {HTMLElement}
+ */
+function createLogViewerPanel() {
+    const panel = document.createElement('div');
+    panel.classList.add('inline-drawer', 'fetch-retry-history', 'fetch-retry-log');
+
+    const toggle = document.createElement('div');
+    toggle.classList.add('inline-drawer-toggle', 'inline-drawer-header');
+    const title = document.createElement('b');
+    title.textContent = t`Log`;
+    const icon = document.createElement('div');
+    icon.classList.add('inline-drawer-icon', 'fa-solid', 'fa-circle-chevron-down', 'down');
+    toggle.append(title, icon);
+
+    const content = document.createElement('div');
+    content.classList.add('inline-drawer-content');
+
+    const toolbar = document.createElement('div');
+    toolbar.classList.add('fetch-retry-history-toolbar');
+    const description = document.createElement('small');
+    description.textContent = t`Latest messages at the selected log level, with secrets removed. Copy them into a bug report.`;
+    const copyButton = document.createElement('button');
+    copyButton.classList.add('menu_button');
+    copyButton.textContent = t`Copy`;
+    copyButton.addEventListener('click', async () => {
+        try {
+            await navigator.clipboard.writeText(getLogEntries().map(formatLogEntry).join('\n'));
+            /** @type {any} */ (toastr).success('Log copied to the clipboard.', 'Fetch Retry');
+        } catch (err) {
+            /** @type {any} */ (toastr).error(`Could not copy the log: ${err.message}`, 'Fetch Retry');
+        }
+    });
+    const clearButton = document.createElement('button');
+    clearButton.classList.add('menu_button');
+    clearButton.textContent = t`Clear`;
+    clearButton.addEventListener('click', () => {
+        clearLogEntries();
+        renderLogViewer();
+    });
+    toolbar.append(description, copyButton, clearButton);
 
-                let shouldRetry = false;
-                let retryReason = '';
-
-                if (err.name === 'TimeoutError') {
-                    retryReason = `AI thinking timeout (${fetchRetrySettings.thinkingTimeout}ms)`;
-                    shouldRetry = true;
-                } else if (err.name === 'AbortError') {
-                    if (originalSignal?.aborted || err.message === 'User aborted' || err.message === 'Request aborted by user') {
-                        console.log('[Fetch Retry] Request aborted by user. Not retrying, propagating abort.');
-                        // При ручной остановке просто пробрасываем ошибку без ретраев
-                        throw err;
-                    }
-                    retryReason = `Request aborted (${err.message})`;
-                    shouldRetry = true;
-                } else {
-                    console.warn(`[Fetch Retry] Non-specific error: ${err.message}, checking if retry is possible. Attempt ${attempt + 1}/${fetchRetrySettings.maxRetries + 1}`);
-                    // For other errors, we might still retry if it's a network issue or transient server error
-                    shouldRetry = true; // Default to true for unknown errors to attempt recovery
-                }
+    const view = document.createElement('pre');
+    view.id = 'fetch-retry-log-view';
+    view.classList.add('fetch-retry-log-view');
+
+    content.append(toolbar, view);
+    panel.append(toggle, content);
+
+    toggle.addEventListener('click', function() {
+        this.classList.toggle('open');
+        icon.classList.toggle('down');
+        icon.classList.toggle('up');
+        content.classList.toggle('open');
+        // Follow new messages only while the panel is open
+        stopLogSubscription?.();
+        stopLogSubscription = content.classList.contains('open') ? onLogEntry(scheduleLogRender) : null;
+        renderLogViewer();
+    });
+
+    return panel;
+}
+
+function scheduleLogRender() {
+    if (logRenderTimer) return;
+    logRenderTimer = setTimeout(() => {
+        logRenderTimer = null;
+        renderLogViewer();
+    }, 250);
+}
+
+/**
+ * Show the buffered log messages, keeping the view scrolled to the end if it was there
+ */
+function renderLogViewer() {
+    const view = document.getElementById('fetch-retry-log-view');
+    if (!view) return;
+    const atEnd = view.scrollTop + view.clientHeight >= view.scrollHeight - 5;
+    const entries = getLogEntries();
+    view.textContent = entries.length ? entries.map(formatLogEntry).join('\n') : t`No messages yet.`;
+    if (atEnd) view.scrollTop = view.scrollHeight;
+}
+
+// Names of the events emitted on SillyTavern's eventSource
+const FETCH_RETRY_EVENTS = Object.freeze({
+    ATTEMPT_STARTED: 'fetch_retry_attempt_started',
+    RETRY_SCHEDULED: 'fetch_retry_retry_scheduled',
+    GAVE_UP: 'fetch_retry_gave_up',
+    SUCCEEDED_AFTER_RETRIES: 'fetch_retry_succeeded_after_retries',
+});
+
+// Key of the per-call overrides attached to a RequestInit by FetchRetry.withOptions
+const callOptionsKey = Symbol.for('FetchRetry.options');
+const callOptionKeys = [...ruleOverrideKeys, 'exclude', 'generation'];
+
+// Set by FetchRetry.pause(); new requests pass through untouched while paused
+let retryPaused = false;
+
+/**
+ * Emit a Fetch Retry event on SillyTavern's eventSource without waiting for listeners
+ * @param {string} eventName - One of FETCH_RETRY_EVENTS
+ * @param {object} payload
+ */
+function emitFetchRetryEvent(eventName, payload) {
+    const { eventSource } = SillyTavern.getContext();
+    if (!eventSource) return;
+    Promise.resolve(eventSource.emit(eventName, payload)).catch(err => {
+        logger.warn(`Listener for ${eventName} failed:`, err);
+    });
+}
+
+/**
+ * Build the common payload of Fetch Retry events for a request
+ * @param {object} request - Per-request state of the retry loop
+ * @param {object} [extra] - Event specific fields
+ * @returns {object}
+ */
+function createEventPayload(request, extra = {}) {
+    const { historyEntry, options } = request;
+    return {
+        id: historyEntry.id,
+        url: historyEntry.url,
+        method: historyEntry.method,
+        attempt: historyEntry.attempts.length,
+        maxRetries: options.maxRetries,
+        fallback: request.fallbackLabel || null,
+        ...extra,
+    };
+}
+
+/**
+ * Validate a settings update from the public API
+ * @param {object} partial - Setting keys and new values
+ * @returns {object} Validated values
+ * @throws {Error} If a key is unknown or a value is invalid
+ */
+function validateSettingsUpdate(partial) {
+    const values = {};
+    for (const [varId, raw] of Object.entries(partial ?? {})) {
+        const setting = customSettings.find(item => item.varId === varId);
+        if (!setting) throw new Error(`Unknown setting: ${varId}`);
+        if (setting.type === 'textarea') {
+            const validationError = setting.validate ? setting.validate(raw) : '';
+            if (validationError) throw new Error(`${varId}: ${validationError}`);
+            values[varId] = structuredClone(raw);
+            continue;
+        }
+        const { value, error } = parseSettingValue(setting, raw);
+        if (error) throw new Error(error);
+        values[varId] = value;
+    }
+    return values;
+}
+
+function getFetchRetryStats() {
+    return { ...retryStats, waiting: pendingRetryWaits.size, paused: retryPaused };
+}
+
+/**
+ * Public API for other extensions, available as window.FetchRetry and as a module export.
+ * Events are emitted on SillyTavern's eventSource under the names in FetchRetry.events.
+ */
+const FetchRetry = Object.freeze({
+    events: FETCH_RETRY_EVENTS,
+    /** @returns {object} Copy of the current settings */
+    getSettings: () => structuredClone(saveSettings()),
+    /**
+     * Change settings; values are validated like the settings drawer does
+     * @param {object} partial - Setting keys and new values
+     * @returns {object} The applied values
+     */
+    updateSettings: (partial) => {
+        const values = validateSettingsUpdate(partial);
+        Object.entries(values).forEach(([varId, value]) => setSettingValue(varId, value));
+        return values;
+    },
+    /**
+     * Attach per-call overrides to a fetch init object
+     * @param {RequestInit} [fetchInit] - Init passed to fetch
+     * @param {object} [overrides] - maxRetries, retryDelay, thinkingTimeout, reasoningTimeout, totalTimeout, requestDeadline, rateLimitDelay, exclude, generation
+     * @returns {RequestInit} New init object carrying the overrides
+     */
+    withOptions: (fetchInit = {}, overrides = {}) => {
+        const unknown = Object.keys(overrides).filter(key => !callOptionKeys.includes(key));
+        if (unknown.length) throw new Error(`Unknown per-call options: ${unknown.join(', ')}`);
+        return { ...fetchInit, [callOptionsKey]: { ...overrides } };
+    },
+    /** Stop retrying new requests until resume() is called. Not saved to settings. */
+    pause: () => {
+        retryPaused = true;
+        logger.info('Paused through the API.');
+    },
+    resume: () => {
+        retryPaused = false;
+        logger.info('Resumed through the API.');
+    },
+    /** @returns {object} Live counters since page load */
+    getStats: getFetchRetryStats,
+});
+
+(/** @type {any} */ (window)).FetchRetry = FetchRetry;
+
+/**
+ * Resolve the engine options for a request: global settings, the matching request rule and
+ * per-call overrides attached with FetchRetry.withOptions
+ * @param {string} url
+ * @param {string} method
+ * @param {any[]} args - Arguments passed to fetch
+ * @returns {object}
+ */
+function resolveFetchOptions(url, method, args) {
+    logger.debug('Intercepted a fetch request.', { url, method, attempt: 0 });
+    let options = resolveRequestOptions(url, method);
+    const callOptions = args[1]?.[callOptionsKey];
+    if (callOptions) {
+        options = { ...options, ...callOptions, excluded: callOptions.exclude ?? options.excluded };
+        logger.debug('Per-call options applied.', callOptions);
+    }
+    options.journalReplay = Boolean(args[1]?.[journalReplayKey]);
+    if (options.excluded) {
+        logger.debug(`Request excluded by rule "${options.rule?.name || options.rule?.pattern || 'per-call options'}".`);
+    }
+    return options;
+}
 
-                if (shouldRetry) {
-                    console.warn(`[Fetch Retry] ${retryReason}, retrying... attempt ${attempt + 1}/${fetchRetrySettings.maxRetries + 1}`);
+/**
+ * Hooks connecting the retry engine to SillyTavern: history, events, notifications,
+ * circuit breaker, rate limiter, cross-tab backoff, offline waiting and fallbacks
+ * @param {typeof fetch} baseFetch - Unpatched fetch, used to probe the server while offline
+ * @returns {import('./retry-engine.js').RetryHooks}
+ */
+function createRetryHooks(baseFetch) {
+    return {
+        onStart: (request) => {
+            request.historyEntry = startHistoryEntry(request.url, request.method);
+            request.circuitKey = getCircuitKey(request.url, request.options, request.body);
+            request.fallbackChain = getFallbackChain(request.url, request.body);
+            request.fallbackIndex = -1; // -1 while the primary request is being tried
+            request.offlineWaited = 0;
+            retryBudget.requests.push(Date.now());
+            pruneRetryBudget();
+        },
+        onAttemptStart: (request) => {
+            startHistoryAttempt(request.historyEntry, request.fallbackLabel);
+            emitFetchRetryEvent(FETCH_RETRY_EVENTS.ATTEMPT_STARTED, createEventPayload(request));
+            const circuitError = checkCircuit(request.circuitKey);
+            if (circuitError) updateHistoryAttempt(request.historyEntry, { error: circuitError.name });
+            return circuitError;
+        },
+        acquireSlot: async (request) => {
+            if (!fetchRetrySettings.rateLimiterEnabled || !request.options.generation) return null;
+            const queuedAt = Date.now();
+            const release = await acquireRateLimitSlot(request.circuitKey, request.signal);
+            const queued = Date.now() - queuedAt;
+            if (queued > 0) updateHistoryAttempt(request.historyEntry, { queued });
+            return release;
+        },
+        onResponse: (request, response) => {
+            updateHistoryAttempt(request.historyEntry, { status: response.status });
+            if (fetchRetrySettings.rateLimiterEnabled && request.options.generation) {
+                learnRateLimitHeaders(request.circuitKey, response);
+            }
+            if (response.status >= 500) {
+                recordCircuitFailure(request.circuitKey);
+            } else if (response.status !== 429) {
+                recordCircuitSuccess(request.circuitKey);
+            }
+            // Share every 429, also when this tab will not retry it (last attempt, budget, deadline)
+            if (response.status === 429) {
+                const delay = getRetryDelay(null, response, request.attempt, request.options, request.previousDelay);
+                broadcastToTabs({ type: 'backoff', key: request.circuitKey, until: Date.now() + delay });
+            }
+        },
+        classifyResponse: async (request, response) => {
+            const classification = await classifyResponse(response);
+            if (!classification) return null;
+            const classifiedError = /** @type {any} */ (createClassifiedError(classification, response));
+            updateHistoryAttempt(request.historyEntry, { error: `${classifiedError.name}: ${classification.name || classification.match}` });
+            classifiedError.failFast = classification.action === 'fail';
+            return classifiedError;
+        },
+        onAttemptError: (request, err) => {
+            updateHistoryAttempt(request.historyEntry, {
+                status: null,
+                error: err.name,
+                timeout: err.name === 'TimeoutError' ? (err.timeout ?? null) : null,
+            });
+        },
+        // Lost connectivity: wait for it without using up attempts or tripping the circuit
+        waitForConnection: async (request, err) => {
+            const offlineBudget = Math.min(
+                fetchRetrySettings.maxOfflineWait - request.offlineWaited,
+                request.deadlineAt ? request.deadlineAt - Date.now() : Infinity,
+            );
+            if (err.name !== 'TypeError' || offlineBudget <= 0 || !(await isOffline(baseFetch))) return false;
+            const waitStartedAt = Date.now();
+            let reconnected = false;
+            try {
+                reconnected = await waitForConnectivity(baseFetch, offlineBudget, request.signal);
+            } finally {
+                request.offlineWaited += Date.now() - waitStartedAt;
+                updateHistoryAttempt(request.historyEntry, { offlineWait: Date.now() - waitStartedAt });
+            }
+            return reconnected || createOfflineError(request.offlineWaited);
+        },
+        onAttemptFailed: (request, error, response) => {
+            if (!response) recordCircuitFailure(request.circuitKey);
+            return getOpenCircuitError(request.circuitKey);
+        },
+        adjustRetryDelay: (request, delay) => {
+            // Wait at least as long as another tab was told to, even when this 429 came without Retry-After
+            const sharedDelay = fetchRetrySettings.shareAcrossTabs ? Math.min(getSharedBackoff(request.circuitKey), fetchRetrySettings.maxServerDelay) : 0;
+            request.delayFromOtherTab = sharedDelay > delay;
+            return Math.max(delay, sharedDelay);
+        },
+        allowRetry: (request, { error }) => checkRetryBudget(error),
+        onRetryScheduled: (request, { error, delay }) => {
+            retryBudget.retries.push(Date.now());
+            updateHistoryAttempt(request.historyEntry, { delay, delayFromOtherTab: request.delayFromOtherTab });
+            emitFetchRetryEvent(FETCH_RETRY_EVENTS.RETRY_SCHEDULED, createEventPayload(request, { delay, reason: error?.message ?? String(error) }));
+            retryStats.retries++;
+        },
+        onRetryWait: (request, wait, { error, delay }) => {
+            pendingRetryWaits.add(wait);
+            const closeToast = showRetryToast(request.attempt, request.options.maxRetries, error, delay, wait);
+            return () => {
+                pendingRetryWaits.delete(wait);
+                closeToast();
+            };
+        },
+        onStreamFailure: (request, err, partialText) => {
+            const { historyEntry } = request;
+            if (err.name === 'TimeoutError') {
+                updateHistoryAttempt(historyEntry, { error: err.name, timeout: err.timeout });
+                finishHistoryEntry(historyEntry, err.timeout === 'stream_inactivity' ? 'stream_stalled' : 'timed_out', err);
+                showErrorNotification(err, null);
+            }
+            if (partialText) {
+                updateHistoryAttempt(historyEntry, { partialChars: partialText.length });
+                offerPartialReply(partialText);
+            }
+        },
+        nextFallback: (request, lastError) => {
+            const fallback = request.fallbackChain[request.fallbackIndex + 1];
+            if (!fallback) return null;
+            request.fallbackIndex++;
+            const fallbackLabel = getFallbackLabel(fallback, request.fallbackIndex);
+            logger.warn(`All attempts failed (${lastError?.message}). Switching to fallback ${request.fallbackIndex + 1}/${request.fallbackChain.length}: ${fallbackLabel}`);
+            if (typeof toastr !== 'undefined') {
+                /** @type {any} */ (toastr).warning(`Trying fallback: ${fallbackLabel}`, 'Fetch Retry', { timeOut: 5000 });
+            }
+            // Rewrite the original body so one fallback's model or proxy does not leak into the next
+            const body = rewriteBodyForFallback(request.primaryBody, fallback);
+            request.circuitKey = getCircuitKey(request.url, request.options, body);
+            return { body, label: fallbackLabel, maxRetries: fallback.maxRetries };
+        },
+        onFinish: (request, outcome, { error, response, reason }) => {
+            const { historyEntry } = request;
+            finishHistoryEntry(historyEntry, outcome, error ?? null);
+            if (outcome === 'success' || outcome === 'invalid') {
+                if (historyEntry.attempts.length > 1) {
+                    emitFetchRetryEvent(FETCH_RETRY_EVENTS.SUCCEEDED_AFTER_RETRIES, createEventPayload(request, { status: response.status, invalidReason: reason || null }));
+                    notifyRetryOutcome(true, `Reply received after ${historyEntry.attempts.length} attempts.`);
                 }
-                
-                // If max retries reached, break
-                if (attempt >= fetchRetrySettings.maxRetries) {
-                    console.error('[Fetch Retry] Max retries reached for current error. Breaking retry loop.');
-                    break;
+                if (request.fallbackLabel && outcome === 'success') {
+                    logger.info(`Reply produced by fallback: ${request.fallbackLabel}`);
+                    if (typeof toastr !== 'undefined') {
+                        /** @type {any} */ (toastr).success(`Reply produced by fallback: ${request.fallbackLabel}`, 'Fetch Retry');
+                    }
                 }
-                
-                attempt = await handleRetry(err, lastResponse, attempt);
+            } else if (outcome === 'failed') {
+                emitFetchRetryEvent(FETCH_RETRY_EVENTS.GAVE_UP, createEventPayload(request, {
+                    error: error ? `${error.name}: ${error.message}` : null,
+                    status: response?.status ?? null,
+                }));
+                showErrorNotification(error, response);
+                if (historyEntry.attempts.length > 1) notifyRetryOutcome(false, `Gave up after ${historyEntry.attempts.length} attempts: ${error?.message ?? 'unknown error'}`);
+                if (request.options.generation && !request.options.journalReplay) recordFailure(request, error, response);
             }
+        },
+    };
+}
+
+// Monkey-patch fetch
+if (!(/** @type {any} */ (window))._fetchRetryPatched) {
+    logger.debug('Attempting to monkey-patch window.fetch...');
+    const originalFetch = window.fetch;
+    const retryingFetch = createRetryingFetch(originalFetch, resolveFetchOptions, createRetryHooks(originalFetch));
+    window.fetch = async function(...args) {
+        if (!fetchRetrySettings.enabled || retryPaused) {
+            logger.debug(`Fetch Retry is ${retryPaused ? 'paused' : 'disabled'}. Bypassing.`);
+            return originalFetch.apply(this, args);
         }
-        
-        // If we get here, all attempts failed
-        console.error(`[Fetch Retry] All ${fetchRetrySettings.maxRetries + 1} attempts failed. Final error:`, lastError);
-        
-        // Show error notification
-        showErrorNotification(lastError, lastResponse);
-        
-        throw lastError;
+        return retryingFetch.apply(this, args);
     };
-    
+
     (/** @type {any} */ (window))._fetchRetryPatched = true;
-    console.log('[Fetch Retry] Extension loaded and fetch patched successfully.');
+    logger.info('Extension loaded and fetch patched successfully.');
 }
+
+export { FetchRetry };
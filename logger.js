@@ -0,0 +1,136 @@
+// == Fetch Retry: logger ==
+// Leveled logging shared by index.js and the retry engine. Every message is redacted before it
+// reaches the console or the ring buffer shown in the settings drawer.
+
+const LOG_LEVELS = Object.freeze(['error', 'warn', 'info', 'debug', 'trace']);
+
+// Number of messages kept for the log viewer
+const logBufferSize = 500;
+const logBuffer = [];
+const logListeners = new Set();
+let logLevel = 'info';
+
+// Placeholder for removed secrets
+const redactedText = '[REDACTED]';
+
+// Object keys whose values are never logged
+const secretKeyPattern = /^(authorization|proxy[-_]?authorization|api[-_]?key|x-api-key|proxy_password|password|secret|token|access_token|refresh_token|cookie|set-cookie|x-csrf-token)$/i;
+
+// Secrets inside free text: headers and JSON fields, query parameters, bearer tokens and common key formats
+const secretTextPatterns = [
+    // Quotes may be escaped, as in a JSON body logged inside another JSON string
+    [/((?:authorization|api[-_]?key|x-api-key|proxy_password|password|secret|x-csrf-token)\\?["']?\s*[:=]\s*\\?["']?)(?:Bearer\s+)?[^\s"'\\,;}&]+/gi, '$1[REDACTED]'],
+    [/([?&](?:key|api[-_]?key|apikey|token|access_token|auth)=)[^&#\s"']+/gi, '$1[REDACTED]'],
+    [/\bBearer\s+[\w.~+/-]+=*/g, 'Bearer [REDACTED]'],
+    [/\b(sk-(?:ant-|or-)?)[\w-]{16,}/g, '$1[REDACTED]'],
+    [/\bAIza[\w-]{30,}/g, '[REDACTED]'],
+];
+
+/**
+ * Replace API keys, passwords and tokens in a piece of text
+ * @param {string} text
+ * @returns {string}
+ */
+function redactSecrets(text) {
+    return secretTextPatterns.reduce((result, [pattern, replacement]) => result.replace(pattern, replacement), String(text));
+}
+
+function replaceSecretField(key, item) {
+    return key && secretKeyPattern.test(key) ? redactedText : item;
+}
+
+/**
+ * Copy a JSON-compatible value with the values of secret keys (passwords, API keys, tokens) masked
+ * @param {any} value
+ * @returns {any}
+ */
+function redactSecretFields(value) {
+    return value === undefined ? value : JSON.parse(JSON.stringify(value, replaceSecretField));
+}
+
+/**
+ * Turn a log argument into redacted text
+ * @param {any} value
+ * @returns {string}
+ */
+function formatLogValue(value) {
+    if (typeof value === 'string') return redactSecrets(value);
+    if (value instanceof Error) {
+        const text = `${value.name}: ${value.message}`;
+        return redactSecrets(logLevel === 'trace' && value.stack ? `${text}\n${value.stack}` : text);
+    }
+    if (typeof Headers !== 'undefined' && value instanceof Headers) value = Object.fromEntries(value);
+    if (value === null || typeof value !== 'object') return String(value);
+    try {
+        return redactSecrets(JSON.stringify(value, replaceSecretField));
+    } catch {
+        return Object.prototype.toString.call(value);
+    }
+}
+
+/**
+ * Set the most detailed level that is still logged
+ * @param {string} level - One of LOG_LEVELS
+ */
+function setLogLevel(level) {
+    if (LOG_LEVELS.includes(level)) logLevel = level;
+}
+
+function isLogLevelEnabled(level) {
+    return LOG_LEVELS.indexOf(level) <= LOG_LEVELS.indexOf(logLevel);
+}
+
+function writeLog(level, args) {
+    if (!isLogLevelEnabled(level)) return;
+    const message = args.map(formatLogValue).join(' ');
+    const entry = { time: Date.now(), level, message };
+    logBuffer.push(entry);
+    if (logBuffer.length > logBufferSize) logBuffer.shift();
+    logListeners.forEach(listener => listener(entry));
+
+    const prefix = level === 'debug' || level === 'trace' ? '[Fetch Retry Debug]' : '[Fetch Retry]';
+    const method = level === 'error' ? 'error' : level === 'warn' ? 'warn' : 'log';
+    console[method](`${prefix} ${message}`);
+}
+
+const logger = Object.freeze({
+    error: (...args) => writeLog('error', args),
+    warn: (...args) => writeLog('warn', args),
+    info: (...args) => writeLog('info', args),
+    debug: (...args) => writeLog('debug', args),
+    trace: (...args) => writeLog('trace', args),
+    isEnabled: isLogLevelEnabled,
+});
+
+/**
+ * @returns {object[]} Copy of the buffered messages, oldest first: { time, level, message }
+ */
+function getLogEntries() {
+    return logBuffer.slice();
+}
+
+function clearLogEntries() {
+    logBuffer.length = 0;
+}
+
+/**
+ * Call a function for every message written from now on
+ * @param {(entry: object) => void} listener
+ * @returns {() => void} Removes the listener
+ */
+function onLogEntry(listener) {
+    logListeners.add(listener);
+    return () => logListeners.delete(listener);
+}
+
+export {
+    LOG_LEVELS,
+    clearLogEntries,
+    getLogEntries,
+    logger,
+    onLogEntry,
+    redactSecretFields,
+    redactSecrets,
+    redactedText,
+    setLogLevel,
+};
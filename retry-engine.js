@@ -0,0 +1,1137 @@
+// == Fetch Retry: retry engine ==
+// The attempt loop of Fetch Retry without any SillyTavern, toastr or window dependencies.
+// index.js plugs history, notifications, circuit breaker, rate limiter and fallbacks in through hooks.
+
+import { logger } from './logger.js';
+
+// Options understood by the engine. index.js passes its settings (with rule overrides) in the same shape.
+const DEFAULT_OPTIONS = Object.freeze({
+    maxRetries: 5,
+    retryDelay: 5000, // ms
+    rateLimitDelay: 5000, // ms, base delay for 429 errors
+    minRetryDelay: 0, // ms
+    maxRetryDelay: 120000, // ms, upper bound for the computed backoff
+    maxServerDelay: 3600000, // ms, upper bound for waits requested by the server (Retry-After, rate limit reset headers)
+    backoffStrategy: 'exponential', // fixed | linear | exponential | full-jitter | decorrelated-jitter
+    backoffMultiplier: 1.5,
+    enableThinkingTimeout: true, // enable/disable the first byte, reasoning and total duration timeouts
+    thinkingTimeout: 60000, // ms, time to first byte (first body chunk of generation replies, response headers otherwise)
+    reasoningTimeout: 0, // ms, max time a stream may spend in the reasoning phase, 0 = off
+    totalTimeout: 0, // ms, max duration of one attempt including streaming, 0 = off
+    requestDeadline: 0, // ms, max duration of a whole request including retry waits, 0 = off
+    streamInactivityTimeout: 30000, // ms, 0 = off
+    checkEmptyResponse: false,
+    minResponseLength: 0,
+    retryOnTruncated: false,
+    maxReplayBodySize: 20, // MB, larger request bodies are sent once without retries
+    generation: false, // Generation request: enables stream watching, response checks and classification
+    excluded: false, // Send once without retries
+});
+
+function createRetryCancelledError() {
+    return new DOMException('Retry cancelled', 'AbortError');
+}
+
+// Abort reason for an attempt the caller aborted. fetch rejects with the reason itself, so it has to be an AbortError.
+function createUserAbortError() {
+    return new DOMException('User aborted', 'AbortError');
+}
+
+/**
+ * Check whether an error ends the retry sequence on purpose (user abort or cancelled retry)
+ * @param {any} err
+ * @returns {boolean}
+ */
+function isIntentionalAbort(err) {
+    return err?.name === 'AbortError' && ['User aborted', 'Request aborted by user', 'Retry cancelled'].includes(err.message);
+}
+
+/**
+ * Wait before the next attempt. Rejects with an AbortError if the caller aborts
+ * or the wait is cancelled through its handle.
+ * @param {number} delay - Delay in ms
+ * @param {AbortSignal} [signal] - Signal passed in by the caller
+ * @param {(wait: object) => void} [onWait] - Receives the wait handle with skip() and cancel()
+ * @returns {Promise<void>}
+ */
+function waitForRetry(delay, signal, onWait) {
+    return new Promise((resolve, reject) => {
+        const wait = {
+            skip: () => {
+                cleanup();
+                resolve();
+            },
+            cancel: () => {
+                cleanup();
+                reject(createRetryCancelledError());
+            },
+        };
+        const onAbort = () => {
+            cleanup();
+            reject(new DOMException('Request aborted by user', 'AbortError'));
+        };
+        const timerId = setTimeout(() => {
+            cleanup();
+            resolve();
+        }, delay);
+        const cleanup = () => {
+            clearTimeout(timerId);
+            signal?.removeEventListener('abort', onAbort);
+        };
+        signal?.addEventListener('abort', onAbort, { once: true });
+        onWait?.(wait);
+    });
+}
+
+/**
+ * Estimate the size in bytes of a request body that fetch can resend as-is
+ * @param {any} body
+ * @returns {number|null} Size in bytes, or null if the body type cannot be replayed
+ */
+function getReplayableBodySize(body) {
+    if (typeof body === 'string') return new Blob([body]).size;
+    if (body instanceof URLSearchParams) return body.toString().length;
+    if (body instanceof Blob) return body.size;
+    if (body instanceof ArrayBuffer) return body.byteLength;
+    if (ArrayBuffer.isView(body)) return body.byteLength;
+    if (body instanceof FormData) {
+        let size = 0;
+        for (const [key, value] of body.entries()) {
+            size += key.length + (typeof value === 'string' ? value.length : value.size);
+        }
+        return size;
+    }
+    return null;
+}
+
+/**
+ * Buffer the request body once so each retry attempt can send it again.
+ * Request bodies are one-shot streams and are read into an ArrayBuffer; init bodies of
+ * replayable types (text, ArrayBuffer, FormData, Blob, URLSearchParams) are reused as they are.
+ * @param {RequestInfo|URL} input - First fetch argument
+ * @param {RequestInit} [init] - Second fetch argument
+ * @param {number} maxReplayBodySize - Largest body to buffer, in MB
+ * @returns {Promise<{replayable: boolean, body?: any, reason?: string}>}
+ */
+async function prepareReplayableBody(input, init, maxReplayBodySize) {
+    const maxSize = maxReplayBodySize * 1024 * 1024;
+
+    if (input instanceof Request) {
+        if (!input.body) return { replayable: true, body: undefined };
+        if (input.bodyUsed) return { replayable: false, reason: 'Request body has already been consumed' };
+
+        const contentLength = Number(input.headers.get('Content-Length'));
+        if (contentLength > maxSize) {
+            return { replayable: false, reason: `Request body (${contentLength} bytes) exceeds the ${maxReplayBodySize} MB replay limit` };
+        }
+        try {
+            const buffer = await input.clone().arrayBuffer();
+            if (buffer.byteLength > maxSize) {
+                return { replayable: false, reason: `Request body (${buffer.byteLength} bytes) exceeds the ${maxReplayBodySize} MB replay limit` };
+            }
+            return { replayable: true, body: buffer };
+        } catch (err) {
+            return { replayable: false, reason: `Request body could not be buffered (${err.message})` };
+        }
+    }
+
+    const body = init?.body;
+    if (body === undefined || body === null) return { replayable: true, body };
+
+    const size = getReplayableBodySize(body);
+    if (size === null) {
+        return { replayable: false, reason: `Body of type ${body?.constructor?.name || typeof body} cannot be replayed` };
+    }
+    if (size > maxSize) {
+        return { replayable: false, reason: `Request body (${size} bytes) exceeds the ${maxReplayBodySize} MB replay limit` };
+    }
+    return { replayable: true, body };
+}
+
+/**
+ * Decode a buffered request body as text
+ * @param {any} body - Body returned by prepareReplayableBody
+ * @returns {string|null} Body text, or null for non-text bodies
+ */
+function getBodyText(body) {
+    if (typeof body === 'string') return body;
+    if (body instanceof ArrayBuffer || ArrayBuffer.isView(body)) {
+        try {
+            return new TextDecoder().decode(body);
+        } catch {
+            return null;
+        }
+    }
+    return null;
+}
+
+/**
+ * Parse a buffered request body as JSON
+ * @param {any} body - Body returned by prepareReplayableBody
+ * @returns {object|null} Parsed object, or null if the body is not a JSON object
+ */
+function parseJsonBody(body) {
+    const text = getBodyText(body);
+    if (!text) return null;
+    try {
+        const data = JSON.parse(text);
+        return data && typeof data === 'object' ? data : null;
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Check whether a response is a streamed (SSE / NDJSON) body
+ * @param {Response} response
+ * @returns {boolean}
+ */
+function isStreamingResponse(response) {
+    if (!response.body) return false;
+    const contentType = response.headers.get('Content-Type') || '';
+    return contentType.includes('text/event-stream') || contentType.includes('application/x-ndjson');
+}
+
+const timeoutMessages = {
+    first_byte: 'First byte timeout',
+    reasoning: 'Reasoning timeout',
+    total: 'Total duration timeout',
+    stream_inactivity: 'Stream inactivity timeout',
+};
+
+/**
+ * Create the error for one of the attempt timeouts
+ * @param {'first_byte'|'reasoning'|'total'|'stream_inactivity'} kind
+ * @param {number} timeoutMs - Limit that was exceeded
+ * @returns {Error} TimeoutError carrying the kind in .timeout and the limit in .timeoutMs
+ */
+function createTimeoutError(kind, timeoutMs) {
+    const error = /** @type {any} */ (new Error(timeoutMessages[kind]));
+    error.name = 'TimeoutError';
+    error.timeout = kind;
+    error.timeoutMs = timeoutMs;
+    return error;
+}
+
+/**
+ * Create the error that ends a request because a limit other than maxRetries was reached
+ * @param {'deadline'|'budget'} limit - Which limit was hit
+ * @param {string} message
+ * @param {Error} [cause] - Error of the last attempt
+ * @returns {Error} RetryLimitError carrying the limit in .limit
+ */
+function createRetryLimitError(limit, message, cause) {
+    const error = /** @type {any} */ (new Error(cause ? `${message} Last error: ${cause.message}` : message, { cause }));
+    error.name = 'RetryLimitError';
+    error.limit = limit;
+    return error;
+}
+
+function createDeadlineError(request, cause) {
+    return createRetryLimitError('deadline', `Request deadline of ${Math.round(request.options.requestDeadline / 1000)}s reached.`, cause);
+}
+
+/**
+ * Start the timer for the wait until the first byte arrives: the response headers, and for
+ * generation replies also the first body chunk. The first byte and total duration timeouts and
+ * the request deadline all apply here; whichever is shortest fires.
+ * @param {object} request - Request state
+ * @param {AbortController} controller - Controller of the current attempt
+ * @returns {{promise: Promise<never>, clear: () => void}|null} Null if no timeout applies
+ */
+function startFirstByteTimeout(request, controller) {
+    const { options } = request;
+    const limits = options.enableThinkingTimeout
+        ? [['first_byte', options.thinkingTimeout], ['total', options.totalTimeout]].filter(([, ms]) => ms > 0)
+        : [];
+    if (request.deadlineAt) limits.push(['deadline', Math.max(0, request.deadlineAt - Date.now())]);
+    if (!limits.length) return null;
+    const [kind, ms] = limits.reduce((shortest, limit) => (limit[1] < shortest[1] ? limit : shortest));
+    let timerId;
+    const promise = new Promise((_, reject) => {
+        timerId = setTimeout(() => {
+            // Reject before aborting, so a race with the aborted fetch or body read settles with this error
+            if (kind === 'deadline') {
+                logger.warn('Request deadline reached during an attempt.');
+                reject(createDeadlineError(request));
+            } else {
+                reject(createTimeoutError(kind, ms));
+                logger.warn(`Fetch request timed out (${timeoutMessages[kind]}).`);
+            }
+            controller.abort();
+        }, ms);
+    });
+    promise.catch(() => {});
+    return { promise, clear: () => clearTimeout(timerId) };
+}
+
+/**
+ * Wait until the first chunk of a response body arrives, without consuming the body
+ * @param {Response} response
+ * @returns {Promise<void>} Rejects if the body fails before its first chunk
+ */
+async function readFirstChunk(response) {
+    if (!response.body) return;
+    const reader = response.clone().body.getReader();
+    try {
+        await reader.read();
+    } finally {
+        // Only this copy of the body is cancelled; the response itself stays readable
+        reader.cancel().catch(() => {});
+    }
+}
+
+/**
+ * Extract the text one parsed stream event adds to the reasoning and to the reply.
+ * Knows OpenAI-style deltas (reasoning, reasoning_content, thinking), text completion chunks,
+ * Claude thinking/text deltas, Google thought parts and Kobold/llama.cpp tokens.
+ * @param {any} data - Parsed SSE/NDJSON event
+ * @returns {{reasoning: string, content: string}}
+ */
+function getStreamDelta(data) {
+    const asText = (value) => (typeof value === 'string' ? value : '');
+    const choice = data?.choices?.[0];
+    const delta = choice?.delta ?? data?.delta;
+    if (delta && typeof delta === 'object') {
+        return {
+            reasoning: asText(delta.reasoning) || asText(delta.reasoning_content) || asText(delta.thinking),
+            content: asText(delta.content) || asText(delta.text),
+        };
+    }
+    if (choice) return { reasoning: '', content: asText(choice.text) };
+    const parts = data?.candidates?.[0]?.content?.parts;
+    if (Array.isArray(parts)) {
+        return {
+            reasoning: parts.filter(part => part?.thought).map(part => asText(part.text)).join(''),
+            content: parts.filter(part => !part?.thought).map(part => asText(part?.text)).join(''),
+        };
+    }
+    return { reasoning: '', content: asText(data?.token) || asText(data?.content) };
+}
+
+/**
+ * Check whether a streamed response needs watching by watchStreamResponse
+ * @param {object} options - Resolved request options
+ * @param {object|null} firstByteTimeout - Timer from startFirstByteTimeout that is still running
+ * @returns {boolean}
+ */
+function needsStreamWatch(options, firstByteTimeout) {
+    if (firstByteTimeout || options.streamInactivityTimeout > 0) return true;
+    return options.enableThinkingTimeout && (options.reasoningTimeout > 0 || options.totalTimeout > 0);
+}
+
+/**
+ * Wrap a streaming response body with an inactivity watchdog and the reasoning and total duration timeouts.
+ * Waits for the first chunk before resolving, so a stream that stalls before delivering
+ * anything rejects here (also on the first byte timeout) and can be retried transparently by the caller.
+ * A stall or timeout after the first chunk aborts the upstream attempt and errors the wrapped stream.
+ * @param {Response} response - Streaming response returned by the original fetch
+ * @param {AbortController} controller - Controller of the current attempt
+ * @param {object} request - Per-request state of the retry loop
+ * @param {AbortSignal} [request.signal] - Signal passed in by the caller
+ * @param {object} request.options - Resolved request options
+ * @param {number} request.attemptStartedAt - Start of the current attempt, for the total duration timeout
+ * @param {object} hooks - Hooks of the retrying fetch; onStreamFailure is called if the stream fails later
+ * @param {Function} [onEnd] - Called once when the stream ends, fails or is cancelled
+ * @param {{promise: Promise<never>, clear: () => void}} [firstByteTimeout] - Timer raced against the first read, cleared after it
+ * @returns {Promise<Response>} Response with the watched body
+ */
+async function watchStreamResponse(response, controller, request, hooks, onEnd = null, firstByteTimeout = null) {
+    const { signal: originalSignal, options } = request;
+    const timeout = options.streamInactivityTimeout;
+    const timeoutsEnabled = options.enableThinkingTimeout;
+    const reasoningTimeout = timeoutsEnabled ? options.reasoningTimeout : 0;
+    const totalTimeout = timeoutsEnabled ? options.totalTimeout : 0;
+    const reader = response.body.getReader();
+    let timerId;
+    let totalTimerId;
+    let reasoningTimerId;
+    let finished = false;
+
+    // Rejected by the reasoning and total duration timers; raced against every read
+    let rejectTimeout;
+    const timeoutPromise = new Promise((_, reject) => {
+        rejectTimeout = reject;
+    });
+    timeoutPromise.catch(() => {});
+    if (totalTimeout > 0) {
+        const remaining = Math.max(0, totalTimeout - (Date.now() - request.attemptStartedAt));
+        totalTimerId = setTimeout(() => rejectTimeout(createTimeoutError('total', totalTimeout)), remaining);
+    }
+
+    // Parses the events passing through: detects the reasoning phase and keeps the reply text
+    // delivered so far, so it can be offered to the user if the stream fails
+    const decoder = new TextDecoder();
+    let lineBuffer = '';
+    let replyStarted = false;
+    let partialText = '';
+    const trackEvents = (chunk) => {
+        lineBuffer += decoder.decode(chunk, { stream: true });
+        const lines = lineBuffer.split('\n');
+        lineBuffer = lines.pop();
+        for (const line of lines) {
+            const payload = line.startsWith('data:') ? line.slice(5).trim() : line.trim();
+            if (!payload.startsWith('{')) continue;
+            let delta;
+            try {
+                delta = getStreamDelta(JSON.parse(payload));
+            } catch {
+                continue;
+            }
+            partialText += delta.content;
+            if (delta.content && !replyStarted) {
+                replyStarted = true;
+                clearTimeout(reasoningTimerId);
+                if (reasoningTimerId) logger.debug('Reply text started, reasoning timeout cleared.');
+            } else if (delta.reasoning && !replyStarted && !reasoningTimerId && reasoningTimeout > 0) {
+                logger.debug('Reasoning phase detected in stream.');
+                reasoningTimerId = setTimeout(() => rejectTimeout(createTimeoutError('reasoning', reasoningTimeout)), reasoningTimeout);
+            }
+        }
+    };
+
+    const finish = () => {
+        if (!finished) onEnd?.();
+        finished = true;
+        clearTimeout(timerId);
+        clearTimeout(totalTimerId);
+        clearTimeout(reasoningTimerId);
+        if (originalSignal) {
+            originalSignal.removeEventListener('abort', userAbortHandler);
+        }
+    };
+    const userAbortHandler = () => {
+        logger.debug('User aborted signal received while streaming.');
+        controller.abort(createUserAbortError());
+    };
+    if (originalSignal) {
+        originalSignal.addEventListener('abort', userAbortHandler, { once: true });
+    }
+
+    const readWithWatchdog = async (extraWait = null) => {
+        const waits = [reader.read(), timeoutPromise];
+        if (extraWait) waits.push(extraWait);
+        if (timeout > 0) {
+            waits.push(new Promise((_, reject) => {
+                timerId = setTimeout(() => reject(createTimeoutError('stream_inactivity', timeout)), timeout);
+            }));
+        }
+        try {
+            const result = await Promise.race(waits);
+            if (!result.done) trackEvents(result.value);
+            return result;
+        } finally {
+            clearTimeout(timerId);
+        }
+    };
+
+    const stopUpstream = (reason) => {
+        controller.abort(reason);
+        reader.cancel(reason).catch(() => {});
+    };
+
+    let first;
+    try {
+        first = await readWithWatchdog(firstByteTimeout?.promise);
+    } catch (err) {
+        firstByteTimeout?.clear();
+        finish();
+        if (err.name === 'TimeoutError') {
+            logger.warn(`${err.message} (${err.timeoutMs}ms) before the first stream chunk.`);
+            stopUpstream(err);
+        }
+        throw err;
+    }
+    firstByteTimeout?.clear();
+    logger.debug('First stream chunk received, handing stream to caller.');
+
+    const watchedBody = new ReadableStream({
+        start(streamController) {
+            if (first.done) {
+                finish();
+                streamController.close();
+            } else {
+                streamController.enqueue(first.value);
+            }
+        },
+        async pull(streamController) {
+            if (finished) return;
+            try {
+                const { done, value } = await readWithWatchdog();
+                if (done) {
+                    finish();
+                    streamController.close();
+                    return;
+                }
+                streamController.enqueue(value);
+            } catch (err) {
+                finish();
+                if (err.name === 'TimeoutError') {
+                    logger.error(`Stream stopped mid-way: ${err.message} (${err.timeoutMs}ms). Aborting.`);
+                    stopUpstream(err);
+                }
+                if (!originalSignal?.aborted) hooks.onStreamFailure?.(request, err, partialText);
+                streamController.error(err);
+            }
+        },
+        cancel(reason) {
+            finish();
+            stopUpstream(reason);
+        },
+    });
+
+    const watchedResponse = new Response(watchedBody, {
+        status: response.status,
+        statusText: response.statusText,
+        headers: response.headers,
+    });
+    Object.defineProperty(watchedResponse, 'url', { value: response.url });
+    return watchedResponse;
+}
+
+/**
+ * Extract the generated text and finish reason from a non-streaming generation reply.
+ * Supports OpenAI chat (choices[].message.content), text completion (choices[].text),
+ * Kobold (results[].text) and Claude (content[]) shapes.
+ * @param {any} data - Parsed JSON body
+ * @returns {{text: string, finishReason: string}|null} Null if the shape is not recognized
+ */
+function extractGeneratedText(data) {
+    if (!data || typeof data !== 'object') return null;
+
+    // Only text parts count; thinking and tool blocks carry no "text"
+    const partsToText = (parts) => parts.map(part => (typeof part === 'string' ? part : String(part?.text ?? ''))).join('');
+
+    if (Array.isArray(data.choices) && data.choices.length) {
+        const choice = data.choices[0];
+        const finishReason = String(choice.finish_reason ?? '');
+        if (choice.message) {
+            // Tool calls are a valid reply even without text content
+            if (Array.isArray(choice.message.tool_calls) && choice.message.tool_calls.length) return null;
+            const content = choice.message.content;
+            const text = Array.isArray(content) ? partsToText(content) : String(content ?? '');
+            return { text, finishReason };
+        }
+        if (choice.text !== undefined) {
+            return { text: String(choice.text ?? ''), finishReason };
+        }
+        return null;
+    }
+
+    if (Array.isArray(data.results) && data.results.length) {
+        return { text: String(data.results[0]?.text ?? ''), finishReason: String(data.results[0]?.finish_reason ?? '') };
+    }
+
+    if (Array.isArray(data.content)) {
+        if (data.content.some(part => part?.type === 'tool_use')) return null;
+        return { text: partsToText(data.content), finishReason: data.stop_reason === 'max_tokens' ? 'length' : String(data.stop_reason ?? '') };
+    }
+
+    return null;
+}
+
+/**
+ * Check a non-streaming generation reply for empty, short or truncated text
+ * @param {Response} response
+ * @param {object} options - Resolved request options
+ * @returns {Promise<{invalid: boolean, reason: string}>}
+ */
+async function isResponseInvalid(response, options) {
+    logger.debug('Checking response validity for URL:', response.url);
+
+    if (!options.generation) {
+        logger.debug('Not a generation URL, skipping validity checks.');
+        return { invalid: false, reason: '' };
+    }
+
+    const checkContent = options.checkEmptyResponse || options.retryOnTruncated;
+    const contentType = response.headers.get('Content-Type') || '';
+    if (checkContent && !isStreamingResponse(response) && contentType.includes('json')) {
+        let data;
+        try {
+            data = await response.clone().json();
+        } catch (err) {
+            logger.debug('Could not parse response body as JSON, skipping content checks.', err);
+            return { invalid: false, reason: '' };
+        }
+
+        const extracted = extractGeneratedText(data);
+        if (!extracted) {
+            logger.debug('Unrecognized response shape, skipping content checks.');
+            return { invalid: false, reason: '' };
+        }
+
+        const { text, finishReason } = extracted;
+        const length = text.trim().length;
+        logger.debug(`Generated text length: ${length}, finish reason: '${finishReason}'`);
+
+        if (options.checkEmptyResponse) {
+            if (length === 0) {
+                return { invalid: true, reason: 'empty_response' };
+            }
+            if (length < options.minResponseLength) {
+                return { invalid: true, reason: 'short_response' };
+            }
+        }
+        if (options.retryOnTruncated && finishReason === 'length') {
+            return { invalid: true, reason: 'truncated_response' };
+        }
+    }
+
+    logger.debug('Response is valid.');
+    return { invalid: false, reason: '' };
+}
+
+/**
+ * Parse a Retry-After header value (delay in seconds or an HTTP date)
+ * @param {string} value
+ * @returns {number|null} Delay in ms, or null if the value is not valid
+ */
+function parseRetryAfter(value) {
+    const text = value.trim();
+    if (/^\d+(\.\d+)?$/.test(text)) return Number(text) * 1000;
+    const date = Date.parse(text);
+    return isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+/**
+ * Parse a duration like "1s", "6m0s", "20ms" or "1h2m3.5s" as sent in x-ratelimit-reset-* headers
+ * @param {string} value
+ * @returns {number|null} Duration in ms
+ */
+function parseDuration(value) {
+    const text = value.trim();
+    if (/^\d+(\.\d+)?$/.test(text)) return Number(text) * 1000;
+    const units = { h: 3600000, m: 60000, s: 1000, ms: 1 };
+    const parts = [...text.matchAll(/(\d+(?:\.\d+)?)(ms|h|m|s)/g)];
+    if (!parts.length || parts.map(part => part[0]).join('') !== text) return null;
+    return parts.reduce((total, [, amount, unit]) => total + Number(amount) * units[unit], 0);
+}
+
+/**
+ * Parse a rate limit reset value that may be seconds to wait, a Unix timestamp or an ISO date
+ * @param {string} value
+ * @returns {number|null} Delay in ms
+ */
+function parseResetTime(value) {
+    const text = value.trim();
+    if (/^\d+(\.\d+)?$/.test(text)) {
+        const number = Number(text);
+        if (number > 1e12) return Math.max(0, number - Date.now()); // Unix time in ms
+        if (number > 1e9) return Math.max(0, number * 1000 - Date.now()); // Unix time in seconds
+        return number * 1000;
+    }
+    const duration = parseDuration(text);
+    if (duration !== null) return duration;
+    const date = Date.parse(text);
+    return isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+/**
+ * Read the delay the server asks for from the response headers.
+ * Retry-After and retry-after-ms apply to any status; rate limit reset headers only to 429 responses.
+ * @param {Response} response
+ * @returns {{delay: number, header: string}|null}
+ */
+function getServerRetryDelay(response) {
+    if (!response?.headers) return null;
+    const headers = response.headers;
+
+    const retryAfterMs = Number(headers.get('retry-after-ms'));
+    if (headers.has('retry-after-ms') && isFinite(retryAfterMs) && retryAfterMs >= 0) return { delay: retryAfterMs, header: 'retry-after-ms' };
+
+    if (headers.has('Retry-After')) {
+        const delay = parseRetryAfter(headers.get('Retry-After'));
+        if (delay !== null) return { delay, header: 'Retry-After' };
+    }
+
+    if (response.status === 429) {
+        for (const header of ['x-ratelimit-reset-requests', 'x-ratelimit-reset-tokens', 'x-ratelimit-reset', 'anthropic-ratelimit-requests-reset', 'anthropic-ratelimit-tokens-reset']) {
+            if (!headers.has(header)) continue;
+            const delay = parseResetTime(headers.get(header));
+            if (delay !== null) return { delay, header };
+        }
+    }
+    return null;
+}
+
+/**
+ * Compute the backoff delay for an attempt with the configured strategy
+ * @param {number} base - Base delay in ms
+ * @param {number} attempt - Attempt number (0-based)
+ * @param {number} previousDelay - Delay used before the previous attempt, for decorrelated jitter
+ * @param {object} options - Backoff settings
+ * @returns {number} Delay in ms
+ */
+function getBackoffDelay(base, attempt, previousDelay, options) {
+    const multiplier = options.backoffMultiplier;
+    const cap = options.maxRetryDelay;
+    switch (options.backoffStrategy) {
+        case 'fixed':
+            return base;
+        case 'linear':
+            return base * (attempt + 1);
+        case 'full-jitter':
+            return Math.random() * Math.min(cap, base * Math.pow(multiplier, attempt));
+        case 'decorrelated-jitter': {
+            // AWS "decorrelated jitter": random between the base and three times the previous delay
+            const upper = Math.min(cap, Math.max(base, (previousDelay || base) * 3));
+            return base + Math.random() * (upper - base);
+        }
+        case 'exponential':
+        default:
+            return base * Math.pow(multiplier, attempt);
+    }
+}
+
+// Helper function to determine delay based on error
+function getRetryDelay(error, response, attempt, options = DEFAULT_OPTIONS, previousDelay = 0) {
+    logger.debug(`Calculating retry delay for attempt ${attempt} (${options.backoffStrategy}).`);
+    let delay = options.minRetryDelay; // Start with minimum delay
+    logger.debug(`Initial delay: ${delay}ms`);
+
+    // For 429 errors, back off from the longer rate limit delay
+    const base = response && response.status === 429 ? options.rateLimitDelay : options.retryDelay;
+    delay = Math.max(delay, getBackoffDelay(base, attempt, previousDelay, options));
+    delay = Math.min(delay, Math.max(options.maxRetryDelay, options.minRetryDelay));
+    logger.debug(`Backoff from base ${base}ms: ${delay}ms`);
+
+    // A delay requested by the server (or by a classification rule) takes precedence over a shorter backoff.
+    // It is not cut to maxRetryDelay: retrying before the server allows it only earns another 429.
+    const serverDelay = typeof error?.retryDelay === 'number'
+        ? { delay: error.retryDelay, header: 'classification rule' }
+        : getServerRetryDelay(response);
+    if (serverDelay) {
+        let requested = serverDelay.delay;
+        if (options.backoffStrategy.endsWith('jitter')) {
+            // Spread retries from several tabs that all got the same header
+            requested += Math.random() * Math.min(1000, requested * 0.1);
+        }
+        delay = Math.max(delay, Math.min(requested, options.maxServerDelay));
+        logger.debug(`${serverDelay.header} header asks for ${serverDelay.delay}ms, adjusted delay: ${delay}ms`);
+    }
+
+    delay = Math.round(delay);
+    logger.debug(`Final delay: ${delay}ms`);
+
+    return delay;
+}
+
+/**
+ * @typedef {object} RetryHooks
+ * Every hook is optional. `request` is the per-request state: url, method, headers and signal (the
+ * caller's), options, body (buffered), primaryBody and primaryOptions (as the request arrived, before
+ * any fallback), attempt (0-based), fallbackLabel, previousDelay, startedAt,
+ * deadlineAt (0 without a deadline), attemptStartedAt, failFast and outcome. Hooks may store their
+ * own fields on it.
+ * @property {(request: object) => void} [onStart] - A request enters the retry loop
+ * @property {(request: object) => Error|null|void} [onAttemptStart] - Before each attempt; returning an error skips the attempt and ends the current stage
+ * @property {(request: object) => Promise<Function|null|void>} [acquireSlot] - Wait for permission to send; resolves to a release function kept until the response (or stream) ends
+ * @property {(request: object, response: Response) => void} [onResponse] - Every response, before it is inspected
+ * @property {(request: object, response: Response) => Promise<Error|null>} [classifyResponse] - Generation responses only; an error with failFast: true stops at once, otherwise it is retried (honoring error.retryDelay)
+ * @property {(request: object, error: Error) => void} [onAttemptError] - An attempt threw (network error, timeout, abort)
+ * @property {(request: object, error: Error) => Promise<boolean|Error>} [waitForConnection] - After a thrown error: true to repeat the attempt without counting it, an error to give up with, false to go on as usual
+ * @property {(request: object, error: Error, response?: Response) => Error|null} [onAttemptFailed] - After a server or network error, before retrying; returning an error stops retrying
+ * @property {(request: object, delay: number, error: Error, response?: Response) => number} [adjustRetryDelay] - Change the computed retry delay
+ * @property {(request: object, retry: {error: Error, response?: Response, delay: number}) => Error|null|void} [allowRetry] - Before each retry wait; returning an error (see createRetryLimitError) stops retrying at once
+ * @property {(request: object, retry: {error: Error, response?: Response, delay: number}) => void} [onRetryScheduled]
+ * @property {(request: object, wait: {skip: Function, cancel: Function}, retry: {error: Error, delay: number}) => Function|void} [onRetryWait] - Receives the wait handle; the returned function is called when the wait ends
+ * @property {(request: object, error: Error, partialText: string) => void} [onStreamFailure] - A stream failed after it was handed to the caller
+ * @property {(request: object, lastError: Error) => Promise<{body?: any, label?: string, maxRetries?: number}|null>} [nextFallback] - Next stage after all attempts failed
+ * @property {(request: object, outcome: string, details: {error?: Error, response?: Response, reason?: string}) => void} [onFinish] - Once per request: success, invalid, client_error, failed or aborted
+ */
+
+/**
+ * Create a fetch function that retries failed requests.
+ * @param {typeof fetch} baseFetch - Fetch used for the actual attempts
+ * @param {object|((url: string, method: string, args: any[]) => object)} [options] - Options (see DEFAULT_OPTIONS), or a function resolving them per request
+ * @param {RetryHooks} [hooks]
+ * @returns {(input: RequestInfo|URL, init?: RequestInit) => Promise<Response>}
+ */
+function createRetryingFetch(baseFetch, options = {}, hooks = {}) {
+    const resolveOptions = typeof options === 'function' ? options : () => options;
+
+    const finish = (request, outcome, details = {}) => {
+        if (request.outcome) return;
+        request.outcome = outcome;
+        hooks.onFinish?.(request, outcome, details);
+    };
+
+    // Compute the delay, wait for it and move on to the next attempt.
+    // Resolves to false, with request.limitError set, when the deadline or a hook stops retrying.
+    const scheduleRetry = async (request, error, response) => {
+        let delay = getRetryDelay(error, response, request.attempt, request.options, request.previousDelay);
+        if (hooks.adjustRetryDelay) delay = hooks.adjustRetryDelay(request, delay, error, response);
+        const limitError = request.deadlineAt && Date.now() + delay >= request.deadlineAt
+            ? createDeadlineError(request, error)
+            : hooks.allowRetry?.(request, { error, response, delay });
+        if (limitError) {
+            logger.warn(`${limitError.message} Not retrying.`);
+            request.limitError = limitError;
+            request.failFast = true;
+            return false;
+        }
+        request.previousDelay = delay;
+        hooks.onRetryScheduled?.(request, { error, response, delay });
+        logger.info(`Waiting ${delay}ms before retry...`);
+
+        let onWaitEnd = null;
+        try {
+            await waitForRetry(delay, request.signal, wait => {
+                onWaitEnd = hooks.onRetryWait?.(request, wait, { error, delay }) ?? null;
+            });
+        } catch (err) {
+            logger.info(`Retry wait ended early: ${err.message}.`);
+            finish(request, 'aborted', { error: err });
+            throw err;
+        } finally {
+            onWaitEnd?.();
+        }
+        request.attempt++;
+        return true;
+    };
+
+    return async function retryingFetch(...args) {
+        const requestUrl = args[0] instanceof Request ? args[0].url : String(args[0]);
+        const requestMethod = args[0] instanceof Request ? args[0].method : (args[1]?.method || 'GET');
+        const requestOptions = { ...DEFAULT_OPTIONS, ...resolveOptions(requestUrl, requestMethod, args) };
+        if (requestOptions.excluded) {
+            logger.debug('Request excluded. Bypassing.');
+            return baseFetch.apply(this, args);
+        }
+
+        const originalSignal = args[0] instanceof Request ? args[0].signal : (args[1]?.signal);
+        if (originalSignal?.aborted) {
+            logger.debug('Original signal already aborted. Bypassing.');
+            return baseFetch.apply(this, args);
+        }
+
+        const replayBody = await prepareReplayableBody(args[0], args[1], requestOptions.maxReplayBodySize);
+        if (!replayBody.replayable) {
+            logger.debug(`${replayBody.reason}. Sending once without retries.`);
+            return baseFetch.apply(this, args);
+        }
+
+        const request = {
+            url: requestUrl,
+            method: requestMethod,
+            headers: args[0] instanceof Request ? args[0].headers : args[1]?.headers,
+            options: requestOptions,
+            body: replayBody.body,
+            primaryBody: replayBody.body,
+            primaryOptions: requestOptions,
+            signal: originalSignal,
+            attempt: 0,
+            fallbackLabel: '',
+            previousDelay: 0,
+            startedAt: Date.now(),
+            deadlineAt: requestOptions.requestDeadline > 0 ? Date.now() + requestOptions.requestDeadline : 0,
+            attemptStartedAt: 0,
+            failFast: false,
+            outcome: null,
+        };
+        hooks.onStart?.(request);
+
+        let lastError;
+        let lastResponse;
+
+        // The primary request, then each fallback stage, gets a full set of attempts
+        while (true) {
+            request.attempt = 0;
+            while (request.attempt <= request.options.maxRetries) {
+                const { options, attempt } = request;
+                logger.debug(`Starting fetch attempt ${attempt + 1}/${options.maxRetries + 1}`);
+                if (originalSignal?.aborted) {
+                    logger.info('Request aborted by user during retry loop. Returning abort error.');
+                    const abortError = new DOMException('Request aborted by user', 'AbortError');
+                    finish(request, 'aborted', { error: abortError });
+                    throw abortError;
+                }
+                const startError = hooks.onAttemptStart?.(request);
+                if (startError) {
+                    logger.warn(`${startError.message}. Failing fast.`);
+                    lastError = startError;
+                    lastResponse = undefined;
+                    break;
+                }
+                const controller = new AbortController();
+                const userAbortHandler = () => {
+                    logger.debug('User aborted signal received.');
+                    controller.abort(createUserAbortError());
+                };
+                if (originalSignal) {
+                    originalSignal.addEventListener('abort', userAbortHandler, { once: true });
+                }
+                const signal = controller.signal; // Signal for the current attempt
+                let firstByteTimeout = null;
+
+                let currentUrl; // Will be RequestInfo | URL
+                let currentInit; // Will be RequestInit
+
+                // Parse original args into currentUrl and currentInit
+                if (args[0] instanceof Request) {
+                    currentUrl = args[0].url;
+                    // Clone the RequestInit properties from the original Request
+                    currentInit = {
+                        method: args[0].method,
+                        headers: args[0].headers,
+                        mode: args[0].mode,
+                        credentials: args[0].credentials,
+                        cache: args[0].cache,
+                        redirect: args[0].redirect,
+                        referrer: args[0].referrer,
+                        referrerPolicy: args[0].referrerPolicy,
+                        integrity: args[0].integrity,
+                        keepalive: args[0].keepalive,
+                        body: request.body, // Buffered copy of the original Request body
+                        signal: signal, // Explicitly add the signal here
+                    };
+                    logger.debug('Request is an instance of Request.');
+                } else {
+                    currentUrl = args[0];
+                    // Clone original init if exists, and then explicitly add the signal
+                    currentInit = Object.assign({}, args[1], { signal: signal });
+                    if (request.body !== undefined) {
+                        currentInit.body = request.body;
+                    }
+                    logger.debug('Request is a URL/string.');
+                }
+
+                // Releases the slot granted by acquireSlot, at most once
+                let releaseSlot = null;
+
+                try {
+                    const release = await hooks.acquireSlot?.(request);
+                    if (release) {
+                        releaseSlot = () => {
+                            releaseSlot = null;
+                            release();
+                        };
+                    }
+
+                    // Call the base fetch with the potentially modified currentUrl and currentInit
+                    logger.debug('Executing original fetch...');
+                    request.attemptStartedAt = Date.now();
+                    const fetchPromise = baseFetch.apply(this, [currentUrl, currentInit]);
+
+                    firstByteTimeout = startFirstByteTimeout(request, controller);
+                    const result = firstByteTimeout
+                        ? await Promise.race([fetchPromise, firstByteTimeout.promise])
+                        : await fetchPromise;
+                    // Proxies may send the headers of a generation reply at once and stall before the body,
+                    // so for those the timer runs on until the first body chunk
+                    const waitForBody = Boolean(firstByteTimeout) && result.ok && options.generation;
+                    if (!waitForBody) firstByteTimeout?.clear();
+                    if (waitForBody && !isStreamingResponse(result)) {
+                        await Promise.race([readFirstChunk(result), firstByteTimeout.promise]);
+                        firstByteTimeout.clear();
+                    }
+                    if (originalSignal) {
+                        originalSignal.removeEventListener('abort', userAbortHandler);
+                    }
+                    logger.debug('Fetch promise resolved or timed out.');
+
+                    lastResponse = result;
+                    hooks.onResponse?.(request, result);
+                    if (!result.ok || !isStreamingResponse(result)) releaseSlot?.();
+
+                    // Errors hidden in the body of 200/4xx replies
+                    const classifiedError = options.generation ? await hooks.classifyResponse?.(request, result) : null;
+                    if (classifiedError) {
+                        firstByteTimeout?.clear();
+                        if (classifiedError.failFast) {
+                            logger.error(`${classifiedError.message}. Failing without retry.`);
+                            lastError = classifiedError;
+                            request.failFast = true;
+                            break;
+                        }
+                        logger.warn(`${classifiedError.message}, attempt ${attempt + 1}/${options.maxRetries + 1}`);
+                        if (attempt < options.maxRetries) {
+                            if (!(await scheduleRetry(request, classifiedError, result))) break;
+                            continue;
+                        }
+                        lastError = classifiedError;
+                        break;
+                    }
+
+                    // Success if status 200-299
+                    if (result.ok) {
+                        logger.debug(`Fetch successful (status ${result.status}).`);
+                        let processedResult = result;
+
+                        // Watch streamed generation replies for mid-stream stalls and timeouts
+                        if (options.generation && isStreamingResponse(result) && needsStreamWatch(options, firstByteTimeout)) {
+                            logger.debug('Streaming response detected, attaching inactivity watchdog.');
+                            const releaseOnEnd = releaseSlot;
+                            releaseSlot = null; // Released by the stream watcher when the stream ends
+                            processedResult = await watchStreamResponse(result, controller, request, hooks, releaseOnEnd, firstByteTimeout);
+                        }
+                        releaseSlot?.();
+
+                        // Check if response is invalid (too short or incomplete)
+                        const { invalid, reason } = await isResponseInvalid(processedResult, options);
+                        logger.debug(`Validity check result: invalid=${invalid}, reason='${reason}'`);
+
+                        if (invalid && attempt < options.maxRetries) {
+                            logger.warn(`Response is invalid (${reason}), retrying... attempt ${attempt + 1}/${options.maxRetries + 1}`);
+                            if (await scheduleRetry(request, new Error(`Response invalid: ${reason}`), processedResult)) continue;
+                            finish(request, 'invalid', { response: processedResult, reason });
+                            return processedResult;
+                        }
+                        logger.debug('Response is valid or max retries reached for invalid response. Returning result.');
+                        finish(request, invalid ? 'invalid' : 'success', { response: processedResult, reason });
+                        return processedResult;
+                    }
+
+                    // Handle specific error codes
+                    if (result.status === 429) {
+                        logger.warn(`Rate limited (429) for ${requestUrl}, attempt ${attempt + 1}/${options.maxRetries + 1}`);
+                        lastError = new Error(`Rate limited (429): ${result.statusText}`);
+                        if (attempt < options.maxRetries) {
+                            if (!(await scheduleRetry(request, lastError, result))) break;
+                            continue;
+                        }
+                        // Max retries reached for 429
+                        logger.error(`Max retries reached for 429 error on ${requestUrl}.`);
+                        break;
+                    } else if (result.status >= 500) {
+                        logger.warn(`Server error (${result.status}), attempt ${attempt + 1}/${options.maxRetries + 1}`);
+                        lastError = new Error(`Server error (${result.status}): ${result.statusText}`);
+                        const stopError = hooks.onAttemptFailed?.(request, lastError, result);
+                        if (stopError) {
+                            lastError = stopError;
+                            lastResponse = undefined;
+                            break;
+                        }
+                        if (attempt < options.maxRetries) {
+                            if (!(await scheduleRetry(request, lastError, result))) break;
+                            continue;
+                        }
+                        break;
+                    } else if (result.status >= 400) {
+                        // Client errors other than 429 usually don't need retry
+                        // Return the response instead of throwing to not interfere with generation
+                        logger.info(`Client error (${result.status}): ${result.statusText}. Returning response without retry.`);
+                        finish(request, 'client_error', { response: result });
+                        return result;
+                    }
+
+                    logger.error(`Unexpected HTTP status: ${result.status}. Throwing error.`);
+                    throw new Error(`HTTP ${result.status}: ${result.statusText}`);
+
+                } catch (err) {
+                    releaseSlot?.();
+                    firstByteTimeout?.clear(); // Make sure timeout is cleared if there's another error
+                    if (originalSignal) {
+                        originalSignal.removeEventListener('abort', userAbortHandler);
+                    }
+                    if (isIntentionalAbort(err) && request.outcome) {
+                        // Aborted during a backoff wait; scheduleRetry has already finished the request
+                        throw err;
+                    }
+                    if (originalSignal?.aborted) {
+                        // The caller aborted (e.g. SillyTavern's Stop button): not a failed attempt, so no
+                        // retry and no circuit breaker failure, whatever the error looks like
+                        const abortError = err?.name === 'AbortError' ? err : createUserAbortError();
+                        logger.info('Request aborted by user. Not retrying, propagating abort.');
+                        hooks.onAttemptError?.(request, abortError);
+                        finish(request, 'aborted', { error: abortError });
+                        throw abortError;
+                    }
+                    lastError = err;
+                    hooks.onAttemptError?.(request, err);
+                    if (err.name === 'RetryLimitError') {
+                        request.limitError = err;
+                        request.failFast = true;
+                        break;
+                    }
+                    logger.warn('Caught error during fetch attempt:', err);
+                    logger.trace('Full error object:', err);
+
+                    let retryReason = err.message;
+                    if (err.name === 'TimeoutError') {
+                        retryReason = err.timeoutMs ? `${err.message} (${err.timeoutMs}ms)` : err.message;
+                    } else if (err.name === 'AbortError') {
+                        if (isIntentionalAbort(err)) {
+                            logger.info('Request aborted by user. Not retrying, propagating abort.');
+                            finish(request, 'aborted', { error: err });
+                            throw err;
+                        }
+                        retryReason = `Request aborted (${err.message})`;
+                    } else {
+                        // For other errors, we might still retry if it's a network issue or transient server error
+                        logger.warn(`Non-specific error: ${err.message}, checking if retry is possible. Attempt ${attempt + 1}/${options.maxRetries + 1}`);
+                    }
+
+                    // Lost connectivity: the hook waits for it without using up attempts
+                    let connection = false;
+                    try {
+                        connection = (await hooks.waitForConnection?.(request, err)) ?? false;
+                    } catch (waitError) {
+                        finish(request, 'aborted', { error: waitError });
+                        throw waitError;
+                    }
+                    if (connection === true) continue;
+                    if (connection instanceof Error) {
+                        lastError = connection;
+                        lastResponse = undefined;
+                        request.failFast = true;
+                        break;
+                    }
+
+                    const stopError = hooks.onAttemptFailed?.(request, err);
+                    if (stopError) {
+                        logger.warn(`${stopError.message}. Not retrying.`);
+                        lastError = stopError;
+                        lastResponse = undefined;
+                        break;
+                    }
+
+                    // If max retries reached, break
+                    if (attempt >= options.maxRetries) {
+                        logger.error('Max retries reached for current error. Breaking retry loop.');
+                        break;
+                    }
+
+                    logger.warn(`${retryReason}, retrying... attempt ${attempt + 1}/${options.maxRetries + 1}`);
+                    if (!(await scheduleRetry(request, err, lastResponse))) break;
+                }
+            }
+
+            if (request.limitError) lastError = request.limitError;
+            if (request.failFast || originalSignal?.aborted) break;
+            const fallback = await hooks.nextFallback?.(request, lastError);
+            if (!fallback) break;
+            if (fallback.body !== undefined) request.body = fallback.body;
+            request.fallbackLabel = fallback.label ?? '';
+            // Each stage starts from the primary request's retry count, not the previous fallback's
+            request.options = { ...request.options, maxRetries: fallback.maxRetries ?? request.primaryOptions.maxRetries };
+        }
+
+        // If we get here, all attempts failed
+        logger.error(`All ${request.options.maxRetries + 1} attempts failed. Final error:`, lastError);
+        finish(request, 'failed', { error: lastError, response: lastResponse });
+        throw lastError;
+    };
+}
+
+export {
+    DEFAULT_OPTIONS,
+    createRetryLimitError,
+    createRetryingFetch,
+    createTimeoutError,
+    extractGeneratedText,
+    getBodyText,
+    getRetryDelay,
+    getServerRetryDelay,
+    getStreamDelta,
+    isIntentionalAbort,
+    isResponseInvalid,
+    isStreamingResponse,
+    parseDuration,
+    parseJsonBody,
+    parseResetTime,
+    parseRetryAfter,
+    prepareReplayableBody,
+    waitForRetry,
+};
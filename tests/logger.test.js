@@ -0,0 +1,100 @@
+// Tests for the leveled logger and its secret redaction. Run with: node --test tests/
+
+import { afterEach, beforeEach, describe, mock, test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    clearLogEntries,
+    getLogEntries,
+    logger,
+    onLogEntry,
+    redactSecretFields,
+    redactSecrets,
+    setLogLevel,
+} from '../logger.js';
+
+// Log a message and return what was written to the ring buffer
+function logged(...args) {
+    clearLogEntries();
+    logger.error(...args);
+    return getLogEntries()[0].message;
+}
+
+describe('redactSecrets', () => {
+    test('masks header values', () => {
+        assert.equal(redactSecrets('Authorization: Bearer abc.def-123'), 'Authorization: [REDACTED]');
+        assert.equal(redactSecrets('x-csrf-token=0123abcd; path=/'), 'x-csrf-token=[REDACTED]; path=/');
+    });
+
+    test('masks key and token query parameters', () => {
+        assert.equal(
+            redactSecrets('GET https://example.com/v1/models?key=AIzaSecret123&alt=sse&access_token=t0k'),
+            'GET https://example.com/v1/models?key=[REDACTED]&alt=sse&access_token=[REDACTED]',
+        );
+    });
+
+    test('masks bearer tokens and API keys in free text', () => {
+        assert.equal(redactSecrets('sent Bearer eyJhbGciOi.x.y to the proxy'), 'sent Bearer [REDACTED] to the proxy');
+        assert.equal(redactSecrets('using sk-ant-REDACTED'), 'using sk-ant-[REDACTED]');
+        assert.equal(redactSecrets(`key ${'AIza' + 'x'.repeat(35)} rejected`), 'key [REDACTED] rejected');
+    });
+
+    test('masks JSON fields, also inside an escaped JSON string', () => {
+        assert.equal(redactSecrets('{"proxy_password":"zz","model":"m"}'), '{"proxy_password":"[REDACTED]","model":"m"}');
+        assert.equal(redactSecrets('"{\\"proxy_password\\":\\"zz\\",\\"model\\":\\"m\\"}"'), '"{\\"proxy_password\\":\\"[REDACTED]\\",\\"model\\":\\"m\\"}"');
+    });
+
+    test('leaves ordinary text alone', () => {
+        const text = 'Server error (500), attempt 2/3: max_tokens=512, stream=true';
+        assert.equal(redactSecrets(text), text);
+    });
+});
+
+describe('logger', () => {
+    beforeEach(() => {
+        for (const method of ['log', 'warn', 'error']) mock.method(console, method, () => {});
+        setLogLevel('info');
+    });
+
+    afterEach(() => {
+        mock.restoreAll();
+        clearLogEntries();
+    });
+
+    test('masks secret keys of nested objects', () => {
+        const message = logged('Request:', { url: '/generate', body: { model: 'm', proxy_password: 'zz', nested: { api_key: 'k' } } });
+        assert.equal(message, 'Request: {"url":"/generate","body":{"model":"m","proxy_password":"[REDACTED]","nested":{"api_key":"[REDACTED]"}}}');
+    });
+
+    test('masks a JSON body logged as a string value', () => {
+        const message = logged({ body: JSON.stringify({ messages: [], proxy_password: 'zz' }) });
+        assert.doesNotMatch(message, /zz/);
+        assert.match(message, /\\"proxy_password\\":\\"\[REDACTED\]\\"/);
+    });
+
+    test('masks credential headers', () => {
+        const headers = new Headers({ 'Content-Type': 'application/json', Authorization: 'Bearer abc', 'X-CSRF-Token': 'csrf' });
+        assert.equal(logged(headers), '{"authorization":"[REDACTED]","content-type":"application/json","x-csrf-token":"[REDACTED]"}');
+    });
+
+    test('writes only messages at or above the log level', () => {
+        const entries = [];
+        const stop = onLogEntry(entry => entries.push(entry.level));
+        logger.debug('hidden');
+        logger.warn('shown');
+        setLogLevel('trace');
+        logger.trace('shown too');
+        stop();
+        logger.error('after unsubscribe');
+        assert.deepEqual(entries, ['warn', 'trace']);
+        assert.equal(console.warn.mock.calls[0].arguments[0], '[Fetch Retry] shown');
+        assert.equal(console.log.mock.calls[0].arguments[0], '[Fetch Retry Debug] shown too');
+    });
+});
+
+describe('redactSecretFields', () => {
+    test('returns a masked copy', () => {
+        const settings = { fallbackChain: [{ model: 'm', reverse_proxy: 'https://p', proxy_password: 'zz' }], maxRetries: 3 };
+        assert.deepEqual(redactSecretFields(settings), { fallbackChain: [{ model: 'm', reverse_proxy: 'https://p', proxy_password: '[REDACTED]' }], maxRetries: 3 });
+        assert.equal(settings.fallbackChain[0].proxy_password, 'zz');
+    });
+});
@@ -0,0 +1,435 @@
+// Tests for the standalone retry engine. Run with: node --test tests/
+
+import { afterEach, beforeEach, describe, mock, test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    createRetryingFetch,
+    getRetryDelay,
+    parseDuration,
+    parseResetTime,
+    parseRetryAfter,
+    DEFAULT_OPTIONS,
+} from '../retry-engine.js';
+
+const url = 'http://localhost/api/backends/chat-completions/generate';
+
+/**
+ * Base fetch returning the given responses in order; a function entry is called with the init
+ * @param {Array<Response|Function>} replies
+ */
+function createMockFetch(replies) {
+    const calls = [];
+    const baseFetch = async (input, init) => {
+        calls.push({ input, init });
+        const reply = replies[Math.min(calls.length, replies.length) - 1];
+        return typeof reply === 'function' ? reply(init) : reply.clone();
+    };
+    return { baseFetch, calls };
+}
+
+function jsonResponse(status, body = {}, headers = {}) {
+    return new Response(JSON.stringify(body), { status, headers: { 'Content-Type': 'application/json', ...headers } });
+}
+
+// Rejects once the attempt is aborted, like a real fetch that never answers: with the abort reason
+function hangingReply(init) {
+    return new Promise((_, reject) => {
+        init.signal.addEventListener('abort', () => reject(init.signal.reason));
+    });
+}
+
+// Let pending promise callbacks run between timer ticks
+async function flush() {
+    for (let i = 0; i < 20; i++) await new Promise(resolve => setImmediate(resolve));
+}
+
+async function advance(ms, step = 50) {
+    for (let elapsed = 0; elapsed < ms; elapsed += step) {
+        mock.timers.tick(step);
+        await flush();
+    }
+}
+
+const fixedBackoff = { retryDelay: 100, rateLimitDelay: 100, backoffStrategy: 'fixed' };
+
+describe('createRetryingFetch', () => {
+    beforeEach(() => {
+        mock.timers.enable({ apis: ['setTimeout', 'Date'], now: Date.now() });
+        for (const method of ['log', 'warn', 'error']) mock.method(console, method, () => {});
+    });
+
+    afterEach(() => {
+        mock.timers.reset();
+        mock.restoreAll();
+    });
+
+    test('retries 5xx responses until one succeeds', async () => {
+        const { baseFetch, calls } = createMockFetch([jsonResponse(503), jsonResponse(502), jsonResponse(200, { ok: true })]);
+        const delays = [];
+        const retryingFetch = createRetryingFetch(baseFetch, fixedBackoff, {
+            onRetryScheduled: (request, { delay }) => delays.push(delay),
+        });
+
+        const pending = retryingFetch(url, { method: 'POST', body: '{}' });
+        await advance(300);
+        const response = await pending;
+
+        assert.equal(response.status, 200);
+        assert.equal(calls.length, 3);
+        assert.deepEqual(delays, [100, 100]);
+    });
+
+    test('waits as long as Retry-After asks on 429', async () => {
+        const { baseFetch, calls } = createMockFetch([jsonResponse(429, {}, { 'Retry-After': '2' }), jsonResponse(200)]);
+        const delays = [];
+        const retryingFetch = createRetryingFetch(baseFetch, fixedBackoff, {
+            onRetryScheduled: (request, { delay }) => delays.push(delay),
+        });
+
+        const pending = retryingFetch(url);
+        await advance(1500);
+        assert.equal(calls.length, 1);
+        await advance(600);
+        assert.equal((await pending).status, 200);
+        assert.deepEqual(delays, [2000]);
+    });
+
+    test('gives up after maxRetries with the last error', async () => {
+        const { baseFetch, calls } = createMockFetch([jsonResponse(500)]);
+        const outcomes = [];
+        const retryingFetch = createRetryingFetch(baseFetch, { ...fixedBackoff, maxRetries: 2 }, {
+            onFinish: (request, outcome) => outcomes.push(outcome),
+        });
+
+        const rejection = assert.rejects(retryingFetch(url), /Server error \(500\)/);
+        await advance(300);
+        await rejection;
+        assert.equal(calls.length, 3);
+        assert.deepEqual(outcomes, ['failed']);
+    });
+
+    test('returns client errors without retrying', async () => {
+        const { baseFetch, calls } = createMockFetch([jsonResponse(404)]);
+        const outcomes = [];
+        const retryingFetch = createRetryingFetch(baseFetch, fixedBackoff, {
+            onFinish: (request, outcome) => outcomes.push(outcome),
+        });
+
+        assert.equal((await retryingFetch(url)).status, 404);
+        assert.equal(calls.length, 1);
+        assert.deepEqual(outcomes, ['client_error']);
+    });
+
+    test('sends excluded requests once', async () => {
+        const { baseFetch, calls } = createMockFetch([jsonResponse(500)]);
+        const retryingFetch = createRetryingFetch(baseFetch, { ...fixedBackoff, excluded: true });
+
+        assert.equal((await retryingFetch(url)).status, 500);
+        assert.equal(calls.length, 1);
+    });
+
+    test('retries after the first byte timeout', async () => {
+        const { baseFetch, calls } = createMockFetch([hangingReply, jsonResponse(200)]);
+        const errors = [];
+        const retryingFetch = createRetryingFetch(baseFetch, { ...fixedBackoff, thinkingTimeout: 1000 }, {
+            onAttemptError: (request, error) => errors.push(error),
+        });
+
+        const pending = retryingFetch(url);
+        await advance(1200);
+        assert.equal((await pending).status, 200);
+        assert.equal(calls.length, 2);
+        assert.equal(calls[0].init.signal.aborted, true);
+        assert.equal(errors[0].name, 'TimeoutError');
+        assert.equal(errors[0].timeout, 'first_byte');
+    });
+
+    test('keeps the first byte timeout running until the first chunk of a streamed reply', async () => {
+        const stalled = () => new Response(new ReadableStream({ start() {} }), { headers: { 'Content-Type': 'text/event-stream' } });
+        const streamed = () => new Response('data: {"choices":[{"delta":{"content":"hi"}}]}\n\n', { headers: { 'Content-Type': 'text/event-stream' } });
+        const { baseFetch, calls } = createMockFetch([stalled, streamed]);
+        const errors = [];
+        const retryingFetch = createRetryingFetch(baseFetch, { ...fixedBackoff, generation: true, thinkingTimeout: 1000, streamInactivityTimeout: 0 }, {
+            onAttemptError: (request, error) => errors.push(error),
+        });
+
+        const pending = retryingFetch(url);
+        await advance(1200);
+        const response = await pending;
+        assert.equal(calls.length, 2);
+        assert.equal(errors[0].timeout, 'first_byte');
+        assert.match(await response.text(), /"hi"/);
+    });
+
+    test('keeps the first byte timeout running until the first chunk of a non-streaming generation body', async () => {
+        const stalled = () => new Response(new ReadableStream({ start() {} }), { headers: { 'Content-Type': 'application/json' } });
+        const { baseFetch, calls } = createMockFetch([stalled, jsonResponse(200, { choices: [{ message: { content: 'Hello' } }] })]);
+        const errors = [];
+        const retryingFetch = createRetryingFetch(baseFetch, { ...fixedBackoff, generation: true, thinkingTimeout: 1000 }, {
+            onAttemptError: (request, error) => errors.push(error),
+        });
+
+        const pending = retryingFetch(url);
+        await advance(1200);
+        assert.equal((await pending).status, 200);
+        assert.equal(calls.length, 2);
+        assert.equal(calls[0].init.signal.aborted, true);
+        assert.equal(errors[0].timeout, 'first_byte');
+    });
+
+    test('does not time out a slow body once its first chunk has arrived', async () => {
+        const text = JSON.stringify({ choices: [{ message: { content: 'Hello' } }] });
+        // Headers at once, first chunk after 500ms, the rest after 2000ms
+        const slowBody = () => new Response(new ReadableStream({
+            start(streamController) {
+                setTimeout(() => streamController.enqueue(new TextEncoder().encode(text.slice(0, 10))), 500);
+                setTimeout(() => {
+                    streamController.enqueue(new TextEncoder().encode(text.slice(10)));
+                    streamController.close();
+                }, 2000);
+            },
+        }), { headers: { 'Content-Type': 'application/json' } });
+        const { baseFetch, calls } = createMockFetch([slowBody]);
+        const retryingFetch = createRetryingFetch(baseFetch, { ...fixedBackoff, generation: true, thinkingTimeout: 1000 });
+
+        const pending = retryingFetch(url);
+        await advance(2200);
+        const response = await pending;
+        assert.equal(calls.length, 1);
+        assert.equal(await response.text(), text);
+    });
+
+    test('fails with the total duration timeout when it is shorter', async () => {
+        const { baseFetch } = createMockFetch([hangingReply]);
+        const retryingFetch = createRetryingFetch(baseFetch, { ...fixedBackoff, maxRetries: 0, thinkingTimeout: 5000, totalTimeout: 500 });
+
+        const rejection = assert.rejects(retryingFetch(url), error => error.name === 'TimeoutError' && error.timeout === 'total');
+        await advance(600);
+        await rejection;
+    });
+
+    test('errors a stream with an AbortError when the caller aborts mid-stream', async () => {
+        // Like a real fetch, the body errors with the abort reason of the attempt
+        const streaming = (init) => new Response(new ReadableStream({
+            start(streamController) {
+                streamController.enqueue(new TextEncoder().encode('data: {"choices":[{"delta":{"content":"hi"}}]}\n\n'));
+                init.signal.addEventListener('abort', () => streamController.error(init.signal.reason));
+            },
+        }), { headers: { 'Content-Type': 'text/event-stream' } });
+        const { baseFetch } = createMockFetch([streaming]);
+        const retryingFetch = createRetryingFetch(baseFetch, { ...fixedBackoff, generation: true });
+        const controller = new AbortController();
+
+        const response = await retryingFetch(url, { signal: controller.signal });
+        const reader = response.body.getReader();
+        await reader.read();
+        controller.abort();
+        await assert.rejects(reader.read(), { name: 'AbortError' });
+    });
+
+    test('retries a stream that stalls before the first chunk', async () => {
+        const stalled = () => new Response(new ReadableStream({ start() {} }), { headers: { 'Content-Type': 'text/event-stream' } });
+        const streamed = () => new Response('data: {"choices":[{"delta":{"content":"hi"}}]}\n\n', { headers: { 'Content-Type': 'text/event-stream' } });
+        const { baseFetch, calls } = createMockFetch([stalled, streamed]);
+        const retryingFetch = createRetryingFetch(baseFetch, { ...fixedBackoff, generation: true, streamInactivityTimeout: 500 });
+
+        const pending = retryingFetch(url);
+        await advance(700);
+        const response = await pending;
+        assert.equal(calls.length, 2);
+        assert.match(await response.text(), /"hi"/);
+    });
+
+    test('retries empty generation replies when checkEmptyResponse is on', async () => {
+        const { baseFetch, calls } = createMockFetch([
+            jsonResponse(200, { choices: [{ message: { content: '' } }] }),
+            jsonResponse(200, { choices: [{ message: { content: 'Hello' } }] }),
+        ]);
+        const retryingFetch = createRetryingFetch(baseFetch, { ...fixedBackoff, generation: true, checkEmptyResponse: true });
+
+        const pending = retryingFetch(url);
+        await advance(200);
+        const data = await (await pending).json();
+        assert.equal(calls.length, 2);
+        assert.equal(data.choices[0].message.content, 'Hello');
+    });
+
+    test('stops retrying when the next wait would pass the request deadline', async () => {
+        const { baseFetch, calls } = createMockFetch([jsonResponse(503)]);
+        const retryingFetch = createRetryingFetch(baseFetch, { ...fixedBackoff, retryDelay: 1000, maxRetries: 10, requestDeadline: 2500 });
+
+        const rejection = assert.rejects(retryingFetch(url), error => error.name === 'RetryLimitError' && error.limit === 'deadline' && /Server error \(503\)/.test(error.message));
+        await advance(3000);
+        await rejection;
+        assert.equal(calls.length, 3);
+    });
+
+    test('aborts an attempt that runs into the request deadline', async () => {
+        const { baseFetch, calls } = createMockFetch([jsonResponse(500), hangingReply]);
+        const retryingFetch = createRetryingFetch(baseFetch, { ...fixedBackoff, thinkingTimeout: 60000, requestDeadline: 1000 });
+
+        const rejection = assert.rejects(retryingFetch(url), { name: 'RetryLimitError', limit: 'deadline' });
+        await advance(1100);
+        await rejection;
+        assert.equal(calls.length, 2);
+        assert.equal(calls[1].init.signal.aborted, true);
+    });
+
+    test('gives up at once when allowRetry returns an error', async () => {
+        const { baseFetch, calls } = createMockFetch([jsonResponse(429)]);
+        const budgetError = Object.assign(new Error('Retry budget exhausted'), { name: 'RetryLimitError', limit: 'budget' });
+        const retryingFetch = createRetryingFetch(baseFetch, fixedBackoff, {
+            allowRetry: () => budgetError,
+        });
+
+        await assert.rejects(retryingFetch(url), budgetError);
+        assert.equal(calls.length, 1);
+    });
+
+    test('rejects at once with an AbortError when the caller aborts during an attempt', async () => {
+        const { baseFetch, calls } = createMockFetch([hangingReply]);
+        const events = [];
+        const retryingFetch = createRetryingFetch(baseFetch, { ...fixedBackoff, retryDelay: 1000 }, {
+            onAttemptFailed: () => events.push('failed'),
+            onRetryScheduled: () => events.push('retry'),
+            onFinish: (request, outcome) => events.push(outcome),
+        });
+        const controller = new AbortController();
+
+        const pending = retryingFetch(url, { signal: controller.signal });
+        let settled = false;
+        const rejection = assert.rejects(pending, { name: 'AbortError' }).finally(() => {
+            settled = true;
+        });
+        await advance(50);
+        controller.abort();
+        await flush();
+        assert.equal(settled, true); // Without waiting for a backoff
+        await rejection;
+        await advance(2000);
+        assert.equal(calls.length, 1);
+        assert.deepEqual(events, ['aborted']);
+    });
+
+    test('rejects with an AbortError when the caller aborts during the backoff', async () => {
+        const { baseFetch, calls } = createMockFetch([jsonResponse(500)]);
+        const outcomes = [];
+        const retryingFetch = createRetryingFetch(baseFetch, { ...fixedBackoff, retryDelay: 1000 }, {
+            onFinish: (request, outcome) => outcomes.push(outcome),
+        });
+        const controller = new AbortController();
+
+        const rejection = assert.rejects(retryingFetch(url, { signal: controller.signal }), { name: 'AbortError' });
+        await advance(100);
+        controller.abort();
+        await rejection;
+        await advance(2000);
+        assert.equal(calls.length, 1);
+        assert.deepEqual(outcomes, ['aborted']);
+    });
+
+    test('rejects with an AbortError when the retry wait is cancelled', async () => {
+        const { baseFetch, calls } = createMockFetch([jsonResponse(500)]);
+        const retryingFetch = createRetryingFetch(baseFetch, fixedBackoff, {
+            onRetryWait: (request, wait) => wait.cancel(),
+        });
+
+        await assert.rejects(retryingFetch(url), { name: 'AbortError', message: 'Retry cancelled' });
+        assert.equal(calls.length, 1);
+    });
+
+    test('resends the body of a Request object on every attempt', async () => {
+        const { baseFetch, calls } = createMockFetch([jsonResponse(500), jsonResponse(200)]);
+        const retryingFetch = createRetryingFetch(baseFetch, fixedBackoff);
+
+        const pending = retryingFetch(new Request(url, { method: 'POST', body: '{"prompt":"hi"}' }));
+        await advance(200);
+        assert.equal((await pending).status, 200);
+        const bodies = calls.map(call => new TextDecoder().decode(call.init.body));
+        assert.deepEqual(bodies, ['{"prompt":"hi"}', '{"prompt":"hi"}']);
+        assert.equal(calls[1].init.method, 'POST');
+    });
+
+    test('moves on to the fallback returned by nextFallback', async () => {
+        const { baseFetch, calls } = createMockFetch([jsonResponse(500), jsonResponse(500), jsonResponse(200)]);
+        const retryingFetch = createRetryingFetch(baseFetch, { ...fixedBackoff, maxRetries: 1 }, {
+            nextFallback: (request) => (request.fallbackLabel ? null : { body: '{"model":"b"}', label: 'b', maxRetries: 0 }),
+        });
+
+        const pending = retryingFetch(url, { method: 'POST', body: '{"model":"a"}' });
+        await advance(200);
+        assert.equal((await pending).status, 200);
+        assert.deepEqual(calls.map(call => call.init.body), ['{"model":"a"}', '{"model":"a"}', '{"model":"b"}']);
+    });
+
+    test('starts every fallback from the primary body and retry count', async () => {
+        const { baseFetch, calls } = createMockFetch([jsonResponse(500)]);
+        const fallbacks = [{ patch: { model: 'b', reverse_proxy: 'https://proxy' }, maxRetries: 2 }, { patch: { model: 'c' } }];
+        const retryingFetch = createRetryingFetch(baseFetch, { ...fixedBackoff, maxRetries: 0 }, {
+            nextFallback: (request) => {
+                const fallback = fallbacks.shift();
+                return fallback ? { body: JSON.stringify({ ...JSON.parse(request.primaryBody), ...fallback.patch }), maxRetries: fallback.maxRetries } : null;
+            },
+        });
+
+        const pending = retryingFetch(url, { method: 'POST', body: '{"model":"a"}' });
+        const rejection = assert.rejects(pending, /Server error \(500\)/);
+        await advance(500);
+        await rejection;
+        const bodies = calls.map(call => call.init.body);
+        assert.equal(bodies.length, 5);
+        assert.deepEqual(bodies.slice(1, 4), Array(3).fill('{"model":"b","reverse_proxy":"https://proxy"}'));
+        assert.equal(bodies[4], '{"model":"c"}');
+    });
+});
+
+describe('getRetryDelay', () => {
+    const options = { ...DEFAULT_OPTIONS, retryDelay: 1000, rateLimitDelay: 5000, backoffMultiplier: 2, maxRetryDelay: 10000 };
+
+    test('grows exponentially and stops at maxRetryDelay', () => {
+        assert.equal(getRetryDelay(new Error(), null, 0, options), 1000);
+        assert.equal(getRetryDelay(new Error(), null, 2, options), 4000);
+        assert.equal(getRetryDelay(new Error(), null, 6, options), 10000);
+    });
+
+    test('backs off from rateLimitDelay on 429', () => {
+        assert.equal(getRetryDelay(new Error(), new Response(null, { status: 429 }), 0, { ...options, backoffStrategy: 'fixed' }), 5000);
+    });
+
+    test('honors a longer server-requested delay', () => {
+        const response = new Response(null, { status: 503, headers: { 'retry-after-ms': '7500' } });
+        assert.equal(getRetryDelay(new Error(), response, 0, options), 7500);
+    });
+
+    test('honors a Retry-After above maxRetryDelay, up to maxServerDelay', () => {
+        const response = new Response(null, { status: 429, headers: { 'Retry-After': '300' } });
+        assert.equal(getRetryDelay(new Error(), response, 0, options), 300000);
+        assert.equal(getRetryDelay(new Error(), response, 0, { ...options, maxServerDelay: 60000 }), 60000);
+    });
+
+    test('honors the delay of a classified error', () => {
+        assert.equal(getRetryDelay(Object.assign(new Error(), { retryDelay: 8000 }), null, 0, options), 8000);
+    });
+});
+
+describe('header parsing', () => {
+    test('parseRetryAfter reads seconds and HTTP dates', () => {
+        assert.equal(parseRetryAfter('3'), 3000);
+        assert.equal(parseRetryAfter('not a date'), null);
+        const delay = parseRetryAfter(new Date(Date.now() + 60000).toUTCString());
+        assert.ok(delay > 58000 && delay <= 60000);
+    });
+
+    test('parseDuration reads Go-style durations', () => {
+        assert.equal(parseDuration('6m0s'), 360000);
+        assert.equal(parseDuration('20ms'), 20);
+        assert.equal(parseDuration('1h2m3.5s'), 3723500);
+        assert.equal(parseDuration('soon'), null);
+    });
+
+    test('parseResetTime tells seconds from Unix timestamps', () => {
+        assert.equal(parseResetTime('2'), 2000);
+        const delay = parseResetTime(String(Math.floor(Date.now() / 1000) + 30));
+        assert.ok(delay > 28000 && delay <= 30000);
+    });
+});